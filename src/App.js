@@ -1,34 +1,69 @@
 import React, { useMemo, useState, useRef, useEffect } from "react";
 import "./App.css";
-import { formatEther } from "ethers";
-import { getContractMain, getSignerContractMain } from "./contracts/contractMain";
+import { getContractMain } from "./contracts/contractMain";
+import { getWorldConfig } from "./contracts/worldConfig";
+import { getNetworkIssue } from "./contracts/networks";
+import { getResourceDefs } from "./contracts/resourceDefs";
+import { createWorldState, cellIndex, cellsOwnedBy } from "./contracts/worldState";
+import { createClaimHistory } from "./contracts/claimHistory";
+import useWorldState from "./hooks/useWorldState";
+import useWallet from "./hooks/useWallet";
+import useTransactions from "./hooks/useTransactions";
+import WalletMenu from "./components/WalletMenu";
+import ClaimPanel from "./components/ClaimPanel";
+import ActivityPanel from "./components/ActivityPanel";
+import MyCells from "./components/MyCells";
+import CellInspector from "./components/CellInspector";
+import WorldStats from "./components/WorldStats";
+import StatsPanel from "./components/StatsPanel";
+import Minimap from "./components/Minimap";
+import CanvasScene from "./components/CanvasScene";
+import FrameMeter from "./components/FrameMeter";
+import { shortAddr } from "./utils/format";
+import { readUrlState, urlFor } from "./utils/urlState";
+import { resourceById } from "./world/resources";
+import { territoryRegions, loopsPath } from "./world/territory";
+import { planetVariant, worldNebula, decorForTiles } from "./world/procgen";
+import {
+  TILE_W, TILE_H, isoPos, isoCell, isoUnproject, clientToWorld, tilePath, clamp,
+  tileRangeForRect, rangeContains, tilesInRange,
+} from "./world/iso";
 
 /** ---------- Config ---------- */
-const GRID_SIZE = 100;                // full logical grid: 100x100
-const VISIBLE_SIZE = 11;              // render only this window (centered)
+const OVERSCAN = 3;                   // extra tiles mounted around the viewport while panning
 
 // 🔒 Lock the on-screen scale to what you had before (20x20 view sizing)
 const SIZING_GRID = 20;               // used for scaling only
 
-const TILE_W = 96;                    // tile width
-const TILE_H = 48;                    // tile height (isometric diamond)
 const SEED_DEFAULT = 1337;
+const URL_CAMERA_DEBOUNCE_MS = 300;   // camera moves replace the history entry at most this often
 
-/** ---------- Utilities ---------- */
-function isoPos(row, col) {
-  const x = (col - row) * (TILE_W / 2);
-  const y = (col + row) * (TILE_H / 2);
-  return { x, y };
-}
+const CLICK_SLOP = 4;                 // px a pointer may move and still count as a click
 
-function tilePath() {
-  const w2 = TILE_W / 2;
-  const h = TILE_H / 2;
-  return `M 0 ${-h} L ${w2} 0 L 0 ${h} L ${-w2} 0 Z`;
+const MIN_ZOOM = 0.25;                // 4× the default view (≈80 tiles across)
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 1.25;               // per +/- key press or button click
+const WHEEL_ZOOM_SPEED = 0.0015;      // per wheel delta pixel
+
+// Grid renderers selectable from the HUD; the choice is remembered per browser
+const RENDERERS = [
+  { id: "svg", name: "SVG" },
+  { id: "canvas", name: "Canvas 2D" },
+];
+const RENDERER_KEY = "perseus.renderer";
+
+function initialRenderer() {
+  try {
+    const saved = window.localStorage.getItem(RENDERER_KEY);
+    return RENDERERS.some(r => r.id === saved) ? saved : "svg";
+  } catch {
+    return "svg";
+  }
 }
 
 // ⬇️ planet + nebula defs (nebula seeded for deterministic background)
-function planetDefs(nebulaSeed) {
+function planetDefs(nebula, resources) {
+  const looks = [...new Map(resources.map(r => [r.planet.id, r.planet])).values()];
   return (
     <defs>
       <filter id="glow" x="-30%" y="-30%" width="160%" height="160%" filterUnits="objectBoundingBox">
@@ -42,46 +77,14 @@ function planetDefs(nebulaSeed) {
         <feDropShadow dx="0" dy="1.2" stdDeviation="1.4" floodOpacity="0.35" />
       </filter>
 
-      <radialGradient id="grad-terran" cx="35%" cy="35%" r="70%">
-        <stop offset="0%" stopColor="#c8ffe6" />
-        <stop offset="45%" stopColor="#2b9aa0" />
-        <stop offset="100%" stopColor="#0b3450" />
-      </radialGradient>
-
-      <radialGradient id="grad-desert" cx="35%" cy="35%" r="70%">
-        <stop offset="0%" stopColor="#fff2c5" />
-        <stop offset="50%" stopColor="#e0a34c" />
-        <stop offset="100%" stopColor="#8b4a1f" />
-      </radialGradient>
-
-      <radialGradient id="grad-ice" cx="35%" cy="35%" r="70%">
-        <stop offset="0%" stopColor="#ffffff" />
-        <stop offset="55%" stopColor="#a8e8ff" />
-        <stop offset="100%" stopColor="#3a6ea8" />
-      </radialGradient>
-
-      <radialGradient id="grad-lava" cx="40%" cy="40%" r="70%">
-        <stop offset="0%" stopColor="#fff0a8" />
-        <stop offset="50%" stopColor="#ff6b3d" />
-        <stop offset="100%" stopColor="#6b0b0b" />
-      </radialGradient>
-
-      <radialGradient id="grad-metal" cx="35%" cy="35%" r="70%">
-        <stop offset="0%" stopColor="#f2f2f2" />
-        <stop offset="60%" stopColor="#9aa3ad" />
-        <stop offset="100%" stopColor="#3e4750" />
-      </radialGradient>
-
-      <pattern id="gas-bands" width="12" height="12" patternUnits="userSpaceOnUse">
-        <rect width="12" height="12" fill="#7a5ea8" />
-        <rect y="3" width="12" height="3" fill="#a08ad1" opacity="0.9" />
-        <rect y="8" width="12" height="2.8" fill="#5b3f8f" opacity="0.9" />
-      </pattern>
-      <radialGradient id="grad-gas" cx="35%" cy="35%" r="70%">
-        <stop offset="0%" stopColor="#d9c9ff" />
-        <stop offset="60%" stopColor="#b39ce6" />
-        <stop offset="100%" stopColor="#5b3f8f" />
-      </radialGradient>
+      {/* one planet gradient per resource look (see world/resources.js) */}
+      {looks.map(planet => (
+        <radialGradient key={planet.id} id={`grad-${planet.id}`} cx="35%" cy="35%" r="70%">
+          <stop offset="0%" stopColor={planet.stops[0]} />
+          <stop offset="50%" stopColor={planet.stops[1]} />
+          <stop offset="100%" stopColor={planet.stops[2]} />
+        </radialGradient>
+      ))}
 
       <radialGradient id="nebulaPurple" cx="50%" cy="50%" r="50%">
         <stop offset="0%" stopColor="#b46cff" stopOpacity="0.55" />
@@ -89,7 +92,7 @@ function planetDefs(nebulaSeed) {
       </radialGradient>
 
       {/* ---- World nebula (background) ---- */}
-      <radialGradient id="nebula-colors" cx="55%" cy="45%" r="85%">
+      <radialGradient id="nebula-colors" cx={`${nebula.cx * 100}%`} cy={`${nebula.cy * 100}%`} r="85%">
         <stop offset="0%"  stopColor="#c8a6ff" />
         <stop offset="35%" stopColor="#8b6fe0" />
         <stop offset="70%" stopColor="#2b1f46" />
@@ -100,7 +103,7 @@ function planetDefs(nebulaSeed) {
           type="fractalNoise"
           baseFrequency="0.010 0.018"
           numOctaves="3"
-          seed={nebulaSeed}
+          seed={nebula.seed}
           result="noise"
         />
         <feColorMatrix in="noise" type="luminanceToAlpha" result="alpha" />
@@ -114,89 +117,73 @@ function planetDefs(nebulaSeed) {
   );
 }
 
-function Planet({ type, r = 18 }) {
-  const stroke = "rgba(255,255,255,0.35)";
-
-  if (type === "gas") {
-    return (
-      <g filter="url(#shadow)">
-        <circle r={r} fill="url(#grad-gas)" />
-        <circle r={r - 1} fill="url(#gas-bands)" opacity="0.9" clipPath={`inset(0 round ${r}px)`} />
-        <ellipse rx={r + 10} ry={r / 2.3} fill="none" stroke="#cbb7ff" strokeOpacity="0.7" strokeWidth="2" transform="rotate(-18)" />
-        <circle r={r} fill="transparent" stroke={stroke} strokeWidth="0.8" />
-      </g>
-    );
-  }
-
-  const fillId =
-    type === "terran" ? "url(#grad-terran)" :
-    type === "desert" ? "url(#grad-desert)" :
-    type === "ice" ? "url(#grad-ice)" :
-    type === "lava" ? "url(#grad-lava)" :
-    "url(#grad-metal)";
-
+// `look` is a catalogue planet entry: gradient id + optional ring colour
+function Planet({ look, r = 18, tilt = -18 }) {
   return (
     <g filter="url(#shadow)">
-      <circle r={r} fill={fillId} />
-      <circle r={r} fill="none" stroke={stroke} strokeWidth="0.8" />
+      <circle r={r} fill={`url(#grad-${look.id})`} />
+      <circle r={r} fill="none" stroke="rgba(255,255,255,0.35)" strokeWidth="0.8" />
       <circle cx="-7" cy="-7" r={r*0.45} fill="white" opacity="0.12" />
+      {look.ring && (
+        <ellipse rx={r + 10} ry={r / 2.3} fill="none" stroke={look.ring} strokeOpacity="0.7" strokeWidth="2" transform={`rotate(${tilt})`} />
+      )}
     </g>
   );
 }
 
-/** ---------- Visible 11×11 generation ---------- */
-function makeTilesInWindow(startR, endR, startC, endC) {
-  const list = [];
-  for (let r = startR; r <= endR; r++) {
-    for (let c = startC; c <= endC; c++) {
-      const { x, y } = isoPos(r, c);
-      list.push({ id: `${r}-${c}`, r, c, x, y });
-    }
-  }
-  return list;
-}
-
-function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
-
-/**
- * Returns the top-left (start) row/col for the visible 11×11 window,
- * centered around `center` when provided; otherwise center of whole grid.
- */
-function getVisibleWindow(center /* {x,y} or null */) {
-  if (center) {
-    const half = Math.floor(VISIBLE_SIZE / 2);
-    const start = {
-      r: clamp(center.x - half, 0, GRID_SIZE - VISIBLE_SIZE),
-      c: clamp(center.y - half, 0, GRID_SIZE - VISIBLE_SIZE),
-    };
-    return { startR: start.r, endR: start.r + VISIBLE_SIZE - 1, startC: start.c, endC: start.c + VISIBLE_SIZE - 1 };
-  }
-  // default to dead-center of the 100×100
-  const start = Math.floor((GRID_SIZE - VISIBLE_SIZE) / 2);
-  return { startR: start, endR: start + VISIBLE_SIZE - 1, startC: start, endC: start + VISIBLE_SIZE - 1 };
-}
-
 /** ---------- App ---------- */
 export default function App() {
-  const [seed, setSeed] = useState(SEED_DEFAULT);
-  const nebulaSeed = React.useRef(777).current;
+  // Grid dimensions / fee read from the contract at startup (see contracts/worldConfig.js)
+  const [worldConfig] = useState(getWorldConfig);
+  const [configIssues] = useState(() => [getNetworkIssue(), ...worldConfig.issues].filter(Boolean));
+  const { gridSize } = worldConfig;
+
+  // Resource list from the DEFS contract, or the bundled catalogue if that failed
+  const [{ resources }] = useState(getResourceDefs);
+
+  // View state from the link that opened the page (?seed, ?cell, ?at, ?z)
+  const [linked] = useState(() => readUrlState(window.location.search, gridSize));
+
+  const [seed, setSeed] = useState(linked.seed ?? SEED_DEFAULT);
+  const nebula = useMemo(() => worldNebula(seed), [seed]);
 
   const tilePoly = useMemo(() => tilePath(), []);
-  const defs = useMemo(() => planetDefs(nebulaSeed), [nebulaSeed]);
+  const defs = useMemo(() => planetDefs(nebula, resources), [nebula, resources]);
 
   const svgRef = useRef(null);
   const hoverRef = useRef(null);
+  const canvasRef = useRef(null);
 
-  /** ---- Gate + contract state ---- */
-  const [x, setX] = useState("");
-  const [y, setY] = useState("");
-  const [feeWei, setFeeWei] = useState(null);
-  const [busy, setBusy] = useState(false);
-  const [error, setError] = useState("");
+  // Which backend draws tiles + planets; the SVG stays on top for input and overlays either way
+  const [renderer, setRenderer] = useState(initialRenderer);
+  const [showFrameTime, setShowFrameTime] = useState(false);
+  const [showTerritory, setShowTerritory] = useState(false);
+  useEffect(() => {
+    try { window.localStorage.setItem(RENDERER_KEY, renderer); } catch { /* private mode */ }
+  }, [renderer]);
+
+  /** ---- Claim + contract state ---- */
+  const linkedFocus = linked.at || linked.cell;
+  const linkedRef = useRef(linkedFocus); // a linked view wins over auto-centring on our own cell
   const [ownedCell, setOwnedCell] = useState(null); // {x, y} once we occupy
+  const [focusCell, setFocusCell] = useState(linkedFocus); // {x, y} the view is centred on (may be fractional)
+  const [selectedCell, setSelectedCell] = useState(linked.cell); // {x, y} picked on the grid
+  const [claimOpen, setClaimOpen] = useState(false); // claiming is opt-in; the map is browsable read-only
+
+  // Connected wallet (any EIP-6963 / injected provider)
+  const wallet = useWallet();
+  const { account, chainId: walletChainId } = wallet;
 
-  // NEW: right-click coordinate tooltip state
-  const [tip, setTip] = useState(null); // {x: clientX, y: clientY, r, c}
+  // Submitted transactions (survive reloads)
+  const txs = useTransactions();
+
+  // Chain-indexed occupancy (snapshot + CellOccupied feed)
+  const world = useMemo(() => createWorldState({ gridSize }), [gridSize]);
+  const { cells, loaded, status: feedStatus } = useWorldState(world);
+
+  // Full CellOccupied history for the stats panel (backfilled only while the panel is open)
+  const [statsOpen, setStatsOpen] = useState(false);
+  const claimHistory = useMemo(() => createClaimHistory(), []);
 
   // --- Smooth pan (imperative) ---
   // React state (committed)
@@ -206,72 +193,70 @@ export default function App() {
   const dragRef = useRef({ active: false, start: { x: 0, y: 0 }, orig: { x: 0, y: 0 } });
   const panLayerRef = useRef(null);
   const rafIdRef = useRef(0);
-  const [resourceId, setResourceId] = useState(0);
-
-  const RESOURCES = [
-  { id: 0, name: "Titanium Alloy" },
-  { id: 1, name: "Carbon Nanofibers" },
-  { id: 2, name: "Fusion Fuel" },
-  { id: 3, name: "Plasma Cells" },
-  { id: 4, name: "Silicon Crystals" },
-  { id: 5, name: "Quantum Circuits" },
-  { id: 6, name: "Dark Matter" },
-  { id: 7, name: "Antimatter" },
-];
-
-
-
-  // --- check if the currently connected wallet already owns a cell
-  async function checkExistingClaim() {
-    try {
-      if (typeof window === "undefined" || !window.ethereum) return;
-
-      // do NOT prompt: just read currently connected accounts
-      const accounts = await window.ethereum.request({ method: "eth_accounts" });
-      if (!accounts || accounts.length === 0) return;
-
-      const addr = accounts[0];
-      const c = getContractMain();
-      // Solidity: (bool has, uint8 x, uint8 y)
-      const [has, fx, fy /*, resId*/] = await c.getFirstCell(addr);
+  const minimapRef = useRef(null);
 
-      if (has) {
-        setOwnedCell({ x: Number(fx), y: Number(fy) });
-        setError("");
-      }
-    } catch (e) {
-      console.error(e);
-      // don't block UI if this fails; just leave the gate visible
-    }
-  }
-
-  useEffect(() => {
-    checkExistingClaim();
-
-    // keep UI in sync if the user switches accounts in the wallet
-    if (window?.ethereum) {
-      const onAccountsChanged = () => {
-        setOwnedCell(null);
-        checkExistingClaim();
-      };
-      window.ethereum.on?.("accountsChanged", onAccountsChanged);
-      return () => window.ethereum.removeListener?.("accountsChanged", onAccountsChanged);
-    }
-  }, []);
+  // --- Zoom (1 = the 20×20 sizing view) ---
+  const [zoom, setZoom] = useState(() => clamp(linked.zoom ?? 1, MIN_ZOOM, MAX_ZOOM));
+  const zoomRef = useRef(zoom);
+  const pointersRef = useRef(new Map()); // pointerId -> {x, y}, for pinch
+  const pinchRef = useRef(null);         // {dist, zoom} at pinch start
 
-  // Fetch occupyFeeWei on mount
+  // --- check if the currently connected wallet already owns a cell (re-run on account / network switch)
   useEffect(() => {
+    setOwnedCell(null);
+    if (!account) return;
+    let cancelled = false;
     (async () => {
       try {
         const c = getContractMain();
-        const fee = await c.occupyFeeWei();
-        setFeeWei(fee);
+        // Solidity: (bool has, uint8 x, uint8 y)
+        const [has, fx, fy /*, resId*/] = await c.getFirstCell(account);
+        if (has && !cancelled) {
+          setOwnedCell({ x: Number(fx), y: Number(fy) });
+          setClaimOpen(false);
+        }
       } catch (e) {
         console.error(e);
-        setError("Failed to read occupy fee from contract.");
+        // don't block UI if this fails; the claim panel stays available
       }
     })();
-  }, []);
+    return () => { cancelled = true; };
+  }, [account, walletChainId]);
+
+  // a claim sent before a reload confirms -> treat it like a claim made in this session
+  useEffect(() => {
+    if (ownedCell || !account) return;
+    const claim = txs.find(t => t.status === "confirmed" && t.meta?.kind === "occupy" && t.from === account);
+    if (claim) setOwnedCell({ x: claim.meta.x, y: claim.meta.y });
+  }, [txs, account, ownedCell]);
+
+  // Every cell this wallet holds (from the indexed snapshot + events)
+  const myCells = useMemo(
+    () => (account ? cellsOwnedBy(cells, account, gridSize) : []),
+    [cells, account, gridSize]
+  );
+
+  // centre on the (first) owned cell whenever it changes
+  useEffect(() => {
+    if (!ownedCell) return;
+    if (linkedRef.current) {
+      linkedRef.current = null;
+      return;
+    }
+    setFocusCell(ownedCell);
+  }, [ownedCell]);
+
+  // Tile {r, c} under a client point, computed from the view transform so it works under any
+  // renderer, over planets and nebula, and for tiles that aren't mounted
+  function tileAtClient(clientX, clientY) {
+    const svg = svgRef.current;
+    if (!svg) return null;
+    const view = { minX: viewMinX, minY: viewMinY, width: viewWidth, height: viewHeight };
+    const p = clientToWorld(clientX, clientY, svg.getBoundingClientRect(), view, panRef.current);
+    return isoCell(p.x, p.y, gridSize);
+  }
+  const tileAtClientRef = useRef(tileAtClient);
+  tileAtClientRef.current = tileAtClient;
 
   // Hover outline handler (skips while dragging)
   useEffect(() => {
@@ -288,10 +273,11 @@ export default function App() {
       if (raf) return;
       raf = requestAnimationFrame(() => {
         raf = 0;
-        const g = e.target.closest("g[data-x][data-y]");
-        if (g) {
+        const t = tileAtClientRef.current(e.clientX, e.clientY);
+        if (t) {
+          const { x, y } = isoPos(t.r, t.c);
           hover.style.display = "block";
-          hover.setAttribute("transform", `translate(${g.dataset.x}, ${g.dataset.y})`);
+          hover.setAttribute("transform", `translate(${x}, ${y})`);
         } else {
           hover.style.display = "none";
         }
@@ -308,127 +294,77 @@ export default function App() {
     };
   }, []);
 
-  // NEW: right-click -> show coord tooltip; left-click anywhere -> hide
+  // right-click selects a tile (opens the inspector) instead of the browser menu
   useEffect(() => {
     const svg = svgRef.current;
     if (!svg) return;
 
     const onContext = (e) => {
-      const g = e.target.closest("g[data-r][data-c]");
-      if (!g) return; // not on a tile
-      e.preventDefault(); // block browser context menu
-      const r = parseInt(g.dataset.r, 10);
-      const c = parseInt(g.dataset.c, 10);
-      setTip({ x: e.clientX + 8, y: e.clientY + 8, r, c });
+      const t = tileAtClientRef.current(e.clientX, e.clientY);
+      if (!t) return; // not on a tile
+      e.preventDefault();
+      setSelectedCell({ x: t.r, y: t.c });
     };
 
-    const onClick = () => setTip(null);
-
     svg.addEventListener("contextmenu", onContext);
-    document.addEventListener("click", onClick);
-    return () => {
-      svg.removeEventListener("contextmenu", onContext);
-      document.removeEventListener("click", onClick);
-    };
+    return () => svg.removeEventListener("contextmenu", onContext);
   }, []);
 
-  // Optional: click tooltip to copy "X,Y"
-  function copyTip() {
-    if (!tip) return;
-    const text = `${tip.r},${tip.c}`;
-    if (navigator.clipboard?.writeText) {
-      navigator.clipboard.writeText(text).catch(() => {});
-    }
-  }
-
-  /** ---- Tx call ---- */
-  async function handleOccupy() {
-  setError("");
-  try {
-    const xi = Number(x);
-    const yi = Number(y);
-    if (!Number.isInteger(xi) || !Number.isInteger(yi)) {
-      setError("Coordinates must be integers.");
-      return;
-    }
-    if (xi < 0 || yi < 0 || xi >= GRID_SIZE || yi >= GRID_SIZE) {
-      setError(`Coordinates must be within 0..${GRID_SIZE - 1}.`);
-      return;
-    }
-    if (resourceId < 0 || resourceId > 7) {
-      setError("Invalid resource type.");
-      return;
-    }
-    if (!feeWei) {
-      setError("Occupy fee is not loaded yet.");
-      return;
-    }
-
-    setBusy(true);
-    const c = await getSignerContractMain();
-
-    // NEW: pass resourceId
-    const tx = await c.occupyAt(xi, yi, resourceId, { value: feeWei });
-    await tx.wait();
-
-    setOwnedCell({ x: xi, y: yi });
-  } catch (e) {
-    console.error(e);
-    const msg = (e?.message || "").toLowerCase();
-    if (msg.includes("outofbounds")) setError("Out of bounds.");
-    else if (msg.includes("alreadyoccupied")) setError("That cell is already occupied.");
-    else if (msg.includes("wrongfee")) setError("Wrong fee sent.");
-    else if (msg.includes("invalidresourcetype")) setError("Invalid resource type.");
-    else if (msg.includes("user rejected")) setError("Transaction was rejected.");
-    else setError("Failed to occupy the cell. See console for details.");
-  } finally {
-    setBusy(false);
-  }
-}
-
-
   /** ---- Viewbox / centering logic ---- */
   // Base center (NO pan applied here; pan is an SVG group transform)
   const sizingWidth = SIZING_GRID * TILE_W;
   const sizingHeight = SIZING_GRID * TILE_H;
 
+  const viewWidth  = sizingWidth / zoom;
+  const viewHeight = sizingHeight / zoom;
+
   let baseMinX = 0, baseMinY = 0;
-  if (ownedCell) {
-    const { x: cx, y: cy } = isoPos(ownedCell.x, ownedCell.y);
-    baseMinX = cx - sizingWidth / 2;
-    baseMinY = cy - sizingHeight / 2;
+  if (focusCell) {
+    const { x: cx, y: cy } = isoPos(focusCell.x, focusCell.y);
+    baseMinX = cx - viewWidth / 2;
+    baseMinY = cy - viewHeight / 2;
   } else {
-    const startCenter = Math.floor((GRID_SIZE - VISIBLE_SIZE) / 2);
-    const centerRow = startCenter + Math.floor(VISIBLE_SIZE / 2);
-    const centerCol = startCenter + Math.floor(VISIBLE_SIZE / 2);
-    const { x: centerX, y: centerY } = isoPos(centerRow, centerCol);
-    baseMinX = centerX - sizingWidth / 2;
-    baseMinY = centerY - sizingHeight / 2;
+    // default to dead-center of the grid
+    const center = Math.floor(gridSize / 2);
+    const { x: centerX, y: centerY } = isoPos(center, center);
+    baseMinX = centerX - viewWidth / 2;
+    baseMinY = centerY - viewHeight / 2;
   }
 
-  const viewWidth  = sizingWidth;
-  const viewHeight = sizingHeight;
   const viewMinX   = baseMinX;
   const viewMinY   = baseMinY;
   const viewBox    = `${viewMinX} ${viewMinY} ${viewWidth} ${viewHeight}`;
 
-  // Compute visible 11x11 window relative to the chosen center
-  const { startR: VISIBLE_START_R, endR: VISIBLE_END_R, startC: VISIBLE_START_C, endC: VISIBLE_END_C } =
-    getVisibleWindow(ownedCell ? { x: ownedCell.x, y: ownedCell.y } : null);
+  // ---- Tile virtualization: mount only tiles under the viewport (+ overscan) ----
+  // World-space rect the viewBox shows for a given pan translate
+  const viewRectAt = (p) => ({
+    minX: viewMinX - p.x,
+    minY: viewMinY - p.y,
+    maxX: viewMinX - p.x + viewWidth,
+    maxY: viewMinY - p.y + viewHeight,
+  });
+  const [tileRange, setTileRange] = useState(() => tileRangeForRect(viewRectAt(panRef.current), OVERSCAN));
+  const tileRangeRef = useRef(tileRange);
+
+  // re-mount tiles only once the viewport leaves the overscanned range
+  function syncTileRange(p) {
+    const needed = tileRangeForRect(viewRectAt(p), 0);
+    if (rangeContains(tileRangeRef.current, needed)) return;
+    const next = tileRangeForRect(viewRectAt(p), OVERSCAN);
+    tileRangeRef.current = next;
+    setTileRange(next);
+  }
 
-  // Build ONLY the visible tiles (121 nodes instead of 10,000)
-  const visibleTiles = useMemo(() => (
-    makeTilesInWindow(VISIBLE_START_R, VISIBLE_END_R, VISIBLE_START_C, VISIBLE_END_C)
-  ), [VISIBLE_START_R, VISIBLE_END_R, VISIBLE_START_C, VISIBLE_END_C]);
+  const visibleTiles = useMemo(() => tilesInRange(tileRange, gridSize), [tileRange, gridSize]);
 
   // ---- Full-world (100x100) isometric bounding box for background rect ----
   const w2 = TILE_W / 2;
   const h2 = TILE_H / 2;
   const WORLD = {
-    minX: -GRID_SIZE * w2,
+    minX: -gridSize * w2,
     minY: -h2,
-    width: GRID_SIZE * TILE_W,
-    height: (GRID_SIZE - 1) * TILE_H + TILE_H, // = GRID_SIZE * TILE_H
+    width: gridSize * TILE_W,
+    height: (gridSize - 1) * TILE_H + TILE_H, // = gridSize * TILE_H
   };
 
   // ---- Pan limits so the viewBox always stays inside the WORLD rect ----
@@ -439,35 +375,196 @@ export default function App() {
     const minX = (viewMinX + viewWidth)  - (WORLD.minX + WORLD.width) + EDGE_PAD_X;  // left-most
     const maxY = viewMinY - WORLD.minY + EDGE_PAD; // down-most
     const minY = (viewMinY + viewHeight) - (WORLD.minY + WORLD.height) - EDGE_PAD; // up-most
-    return { minX, maxX, minY, maxY };
+    // a world narrower / shorter than the view (small grid, zoomed out) is centred on that axis;
+    // otherwise minX > maxX and clamp() would pin it to one edge
+    const centreX = minX > maxX ? (minX + maxX) / 2 : null;
+    const centreY = minY > maxY ? (minY + maxY) / 2 : null;
+    return {
+      minX: centreX ?? minX,
+      maxX: centreX ?? maxX,
+      minY: centreY ?? minY,
+      maxY: centreY ?? maxY,
+    };
   }, [viewMinX, viewMinY, viewWidth, viewHeight, WORLD.minX, WORLD.minY, WORLD.width, WORLD.height]);
 
-  // whenever we jump centers (e.g., after claim or account switch), reset pan so view recenters and clamp
-  useEffect(() => {
-    const nx = clamp(0, PAN_LIMITS.minX, PAN_LIMITS.maxX);
-    const ny = clamp(0, PAN_LIMITS.minY, PAN_LIMITS.maxY);
+  // Commit a pan translate: clamp, write the transform, refresh the mounted tiles
+  function applyPan(p, { rebuildTiles = false } = {}) {
+    const nx = clamp(p.x, PAN_LIMITS.minX, PAN_LIMITS.maxX);
+    const ny = clamp(p.y, PAN_LIMITS.minY, PAN_LIMITS.maxY);
     setPan({ x: nx, y: ny });
     panRef.current = { x: nx, y: ny };
     panLayerRef.current?.setAttribute("transform", `translate(${nx} ${ny})`);
+    if (rebuildTiles) tileRangeRef.current = null; // the viewBox moved; rebuild the tile set
+    syncTileRange(panRef.current);
+    minimapRef.current?.drawViewport(viewRectAt(panRef.current));
+    canvasRef.current?.draw(panRef.current);
+  }
+
+  // centre the view on a world-space point (minimap clicks / drags)
+  function panToWorldPoint(p) {
+    applyPan({ x: viewMinX + viewWidth / 2 - p.x, y: viewMinY + viewHeight / 2 - p.y });
+  }
+
+  // whenever we jump centers (e.g., after claim or account switch), reset pan so view recenters
+  useEffect(() => {
+    applyPan({ x: 0, y: 0 }, { rebuildTiles: true });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [seed, focusCell]);
+
+  // zoom moves the viewBox and the limits; keep the current pan, clamped
+  useEffect(() => {
+    applyPan(panRef.current, { rebuildTiles: true });
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [seed, ownedCell, PAN_LIMITS.minX, PAN_LIMITS.maxX, PAN_LIMITS.minY, PAN_LIMITS.maxY]);
+  }, [viewMinX, viewMinY, PAN_LIMITS.minX, PAN_LIMITS.maxX, PAN_LIMITS.minY, PAN_LIMITS.maxY]);
+
+  /** ---- URL state: seed, selection, camera centre and zoom ---- */
+  function currentUrl() {
+    const rect = viewRectAt(panRef.current);
+    const centre = isoUnproject((rect.minX + rect.maxX) / 2, (rect.minY + rect.maxY) / 2);
+    return urlFor({
+      seed: seed === SEED_DEFAULT ? null : seed,
+      cell: selectedCell,
+      at: { x: centre.r, y: centre.c },
+      zoom: zoomRef.current === 1 ? null : zoomRef.current,
+    });
+  }
+  const currentUrlRef = useRef(currentUrl);
+  currentUrlRef.current = currentUrl;
+
+  // a new selection or seed is a history step; the first run only normalises the opening URL
+  const urlReadyRef = useRef(false);
+  useEffect(() => {
+    const next = currentUrlRef.current();
+    const step = (href) => {
+      const p = new URL(href).searchParams;
+      return `${p.get("seed")}|${p.get("cell")}`;
+    };
+    const push = urlReadyRef.current && step(next) !== step(window.location.href);
+    urlReadyRef.current = true;
+    if (push) window.history.pushState(null, "", next);
+    else if (next !== window.location.href) window.history.replaceState(null, "", next);
+  }, [selectedCell, seed]);
+
+  // camera moves just rewrite the current entry, debounced while dragging / zooming
+  useEffect(() => {
+    const t = setTimeout(() => {
+      const next = currentUrlRef.current();
+      if (next !== window.location.href) window.history.replaceState(null, "", next);
+    }, URL_CAMERA_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [pan, zoom, focusCell]);
+
+  // back / forward: restore everything the entry recorded
+  useEffect(() => {
+    const onPop = () => {
+      const s = readUrlState(window.location.search, gridSize);
+      const z = clamp(s.zoom ?? 1, MIN_ZOOM, MAX_ZOOM);
+      linkedRef.current = null;
+      setSeed(s.seed ?? SEED_DEFAULT);
+      setSelectedCell(s.cell);
+      zoomRef.current = z;
+      setZoom(z);
+      setFocusCell(s.at || s.cell); // new object -> the effect above recentres with pan 0
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [gridSize]);
+
+  /**
+   * Zoom to `next`, keeping the world point under (clientX, clientY) where it is.
+   * The viewBox stays centred on the focus, so only the pan has to absorb the change:
+   * a point `d` px from the svg centre sits d / (k·zoom) world units from the view centre.
+   */
+  function zoomAt(next, clientX, clientY) {
+    const svg = svgRef.current;
+    const prev = zoomRef.current;
+    next = clamp(next, MIN_ZOOM, MAX_ZOOM);
+    if (!svg || next === prev) return;
+
+    const rect = svg.getBoundingClientRect();
+    const k = Math.min(rect.width / sizingWidth, rect.height / sizingHeight); // px per unit at zoom 1 (meet)
+    const dx = (clientX - (rect.left + rect.width / 2)) / k;
+    const dy = (clientY - (rect.top + rect.height / 2)) / k;
+    const delta = 1 / next - 1 / prev;
+
+    zoomRef.current = next;
+    panRef.current = { x: panRef.current.x + dx * delta, y: panRef.current.y + dy * delta };
+    setPan({ ...panRef.current });
+    setZoom(next); // the effect above clamps against the new limits
+  }
+
+  function zoomAtCenter(next) {
+    const rect = svgRef.current?.getBoundingClientRect();
+    if (rect) zoomAt(next, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  }
+
+  // wheel / trackpad (ctrl+wheel is how trackpads report pinch) and +/- keys
+  const zoomAtRef = useRef(zoomAt);
+  zoomAtRef.current = zoomAt;
+  const zoomAtCenterRef = useRef(zoomAtCenter);
+  zoomAtCenterRef.current = zoomAtCenter;
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+
+    const onWheel = (e) => {
+      e.preventDefault(); // needs a non-passive listener
+      const px = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // lines -> px
+      zoomAtRef.current(zoomRef.current * Math.exp(-px * WHEEL_ZOOM_SPEED), e.clientX, e.clientY);
+    };
+    const onKey = (e) => {
+      if (e.target.closest?.("input, select, textarea")) return;
+      if (e.key === "+" || e.key === "=") zoomAtCenterRef.current(zoomRef.current * ZOOM_STEP);
+      else if (e.key === "-" || e.key === "_") zoomAtCenterRef.current(zoomRef.current / ZOOM_STEP);
+    };
+
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    window.addEventListener("keydown", onKey);
+    return () => {
+      svg.removeEventListener("wheel", onWheel);
+      window.removeEventListener("keydown", onKey);
+    };
+  }, []);
+
+  // touch pinch: two active pointers, zoom by the change in their distance
+  function pinchDistance() {
+    const [a, b] = [...pointersRef.current.values()];
+    return { dist: Math.hypot(a.x - b.x, a.y - b.y), mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } };
+  }
 
   function onPointerDown(e) {
-    if (e.button === 2) return; // keep right-click tooltip
+    if (e.button === 2) return; // right-click selects via contextmenu
     const svg = svgRef.current;
     if (!svg) return;
 
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    svg.setPointerCapture?.(e.pointerId);
+    if (pointersRef.current.size === 2) {
+      // second finger: switch from drag to pinch
+      dragRef.current.active = false;
+      dragRef.current.moved = true;
+      pinchRef.current = { dist: pinchDistance().dist, zoom: zoomRef.current };
+      return;
+    }
+
     dragRef.current.active = true;
+    dragRef.current.moved = false;
     dragRef.current.start = { x: e.clientX, y: e.clientY };
     dragRef.current.orig  = { ...panRef.current };
 
     // hide hover while dragging to save work
     if (hoverRef.current) hoverRef.current.style.display = "none";
-
-    svg.setPointerCapture?.(e.pointerId);
   }
 
   function onPointerMove(e) {
+    if (pointersRef.current.has(e.pointerId)) {
+      pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    }
+    if (pinchRef.current && pointersRef.current.size === 2) {
+      const { dist, mid } = pinchDistance();
+      if (pinchRef.current.dist > 0) zoomAt(pinchRef.current.zoom * (dist / pinchRef.current.dist), mid.x, mid.y);
+      return;
+    }
     if (!dragRef.current.active) return;
     const svg = svgRef.current;
     const panLayer = panLayerRef.current;
@@ -480,6 +577,7 @@ export default function App() {
 
     const dxPx = e.clientX - dragRef.current.start.x;
     const dyPx = e.clientY - dragRef.current.start.y;
+    if (Math.hypot(dxPx, dyPx) > CLICK_SLOP) dragRef.current.moved = true;
 
     let nx = dragRef.current.orig.x + dxPx * scaleX;
     let ny = dragRef.current.orig.y + dyPx * scaleY;
@@ -494,31 +592,89 @@ export default function App() {
       rafIdRef.current = requestAnimationFrame(() => {
         rafIdRef.current = 0;
         panLayer.setAttribute("transform", `translate(${panRef.current.x} ${panRef.current.y})`);
+        syncTileRange(panRef.current);
+        minimapRef.current?.drawViewport(viewRectAt(panRef.current));
+        canvasRef.current?.draw(panRef.current);
       });
     }
   }
 
   function onPointerUp(e) {
     const svg = svgRef.current;
+    pointersRef.current.delete(e.pointerId);
+    if (pointersRef.current.size < 2) pinchRef.current = null;
+    const wasClick = dragRef.current.active && !dragRef.current.moved && e.type === "pointerup";
     dragRef.current.active = false;
     svg?.releasePointerCapture?.(e.pointerId);
     // commit once so position persists (and clamp)
-    const nx = clamp(panRef.current.x, PAN_LIMITS.minX, PAN_LIMITS.maxX);
-    const ny = clamp(panRef.current.y, PAN_LIMITS.minY, PAN_LIMITS.maxY);
-    panRef.current = { x: nx, y: ny };
-    setPan({ ...panRef.current });
+    applyPan(panRef.current);
+
+    // a click (not a drag) selects the tile; the inspector follows it, and a free tile also
+    // opens the claim panel prefilled with it
+    if (wasClick) {
+      const t = tileAtClient(e.clientX, e.clientY);
+      if (t) {
+        setSelectedCell({ x: t.r, y: t.c });
+        if (!world.isOccupied(t.r, t.c)) setClaimOpen(true);
+      }
+    }
   }
 
   /** ---- UI ---- */
-  const showGate = !ownedCell; // gate is visible until we have an owned cell in this session
+  // Planet model shared by both renderers: one entry per occupied visible cell
+  const planets = useMemo(() => {
+    const list = [];
+    for (const t of visibleTiles) {
+      const cell = cells.get(cellIndex(t.r, t.c, gridSize));
+      if (!cell) continue;
+      const mine = !!account && cell.owner === account;
+      const variant = planetVariant(seed, t.r, t.c);
+      const resource = resources[cell.resourceId] ?? resourceById(cell.resourceId);
+      list.push({
+        id: t.id,
+        x: t.x,
+        y: t.y,
+        mine,
+        look: resource.planet,
+        r: (mine ? 18 : 14) * variant.scale,
+        tilt: variant.tilt,
+        label: `${mine ? "You" : shortAddr(cell.owner)} · ${resource.name}`,
+      });
+    }
+    return list;
+  }, [visibleTiles, cells, account, seed, gridSize, resources]);
+
+  // Seeded stars / asteroid fields for the mounted tiles
+  const decor = useMemo(() => decorForTiles(visibleTiles, seed), [visibleTiles, seed]);
+  const decorPaths = useMemo(() => {
+    if (renderer !== "svg") return null;
+    const dots = (size) => decor.stars.filter(p => p.size === size).map(p => `M${p.x} ${p.y}h0`).join("");
+    return {
+      small: dots(0.8),
+      large: dots(1.6),
+      rocks: decor.rocks.map(rock => `M${rock.map(p => `${p.x} ${p.y}`).join("L")}Z`).join(""),
+    };
+  }, [decor, renderer]);
+
+  // Connected same-owner regions with merged outlines (whole grid; only while the overlay is on)
+  const territory = useMemo(
+    () => (showTerritory ? territoryRegions(cells, gridSize) : null),
+    [showTerritory, cells, gridSize]
+  );
+  const territoryPaths = useMemo(
+    () => (territory && renderer === "svg" ? territory.map(t => ({ ...t, d: loopsPath(t.loops) })) : null),
+    [territory, renderer]
+  );
 
-  // ---------- Diamond path for 11×11 visible region ----------
+  const selectedPos = selectedCell ? isoPos(selectedCell.x, selectedCell.y) : null;
+
+  // ---------- Diamond path around the whole grid ----------
   const diamondPath = useMemo(() => {
-    // Four corner tile centers of the 11×11 window
-    const topC    = isoPos(VISIBLE_START_R, VISIBLE_START_C);
-    const rightC  = isoPos(VISIBLE_START_R, VISIBLE_END_C);
-    const bottomC = isoPos(VISIBLE_END_R,   VISIBLE_END_C);
-    const leftC   = isoPos(VISIBLE_END_R,   VISIBLE_START_C);
+    // Four corner tile centers of the grid
+    const topC    = isoPos(0, 0);
+    const rightC  = isoPos(0, gridSize - 1);
+    const bottomC = isoPos(gridSize - 1, gridSize - 1);
+    const leftC   = isoPos(gridSize - 1, 0);
 
     const w2 = TILE_W / 2;
     const h2 = TILE_H / 2;
@@ -537,77 +693,78 @@ export default function App() {
             L ${p3.x} ${p3.y + PAD}
             L ${p4.x - PAD} ${p4.y}
             Z`;
-  }, [VISIBLE_START_R, VISIBLE_START_C, VISIBLE_END_R, VISIBLE_END_C]);
+  }, [gridSize]);
 
   return (
     <div className="app">
-      {/* GATE */}
-      {showGate && (
-        <div className="gate">
-          <div className="gate-card">
-            <h2>Claim a Cell</h2>
-            <div className="gate-row" style={{ gridTemplateColumns: "1fr 1fr 1fr" }}>
-  <div className="gate-input">
-    <label htmlFor="gx">X (0–{GRID_SIZE - 1})</label>
-    <input id="gx" type="number" min="0" max={GRID_SIZE - 1} value={x} onChange={e => setX(e.target.value)} />
-  </div>
-
-  <div className="gate-input">
-    <label htmlFor="gy">Y (0–{GRID_SIZE - 1})</label>
-    <input id="gy" type="number" min="0" max={GRID_SIZE - 1} value={y} onChange={e => setY(e.target.value)} />
-  </div>
-
-  <div className="gate-input">
-    <label htmlFor="gres">Resource Type</label>
-    <select
-      id="gres"
-      value={resourceId}
-      onChange={(e) => setResourceId(Number(e.target.value))}
-      style={{
-        all: "unset",
-        padding: "10px 12px",
-        borderRadius: "10px",
-        border: "1px solid #333",
-        background: "#111",
-        color: "#fff",
-        cursor: "pointer"
-      }}
-    >
-      {RESOURCES.map(r => (
-        <option key={r.id} value={r.id} style={{ color: "#000" }}>
-          {r.name}
-        </option>
-      ))}
-    </select>
-  </div>
-</div>
-
-
-            <div className="gate-actions">
-              <button className="gate-btn" disabled={busy} onClick={handleOccupy}>
-                {busy ? "Occupying…" : "Occupy"}
-              </button>
-              <div className="gate-hint">
-                Fee: {feeWei ? `${formatEther(feeWei)} ETH` : "loading…"}
-              </div>
-            </div>
-
-            {error && <div className="gate-error">{error}</div>}
-          </div>
-        </div>
+      {/* Claim panel floats over the scene; the world stays browsable behind it */}
+      {claimOpen && (
+        <ClaimPanel
+          cell={selectedCell}
+          gridSize={gridSize}
+          cells={cells}
+          resources={resources}
+          wallet={wallet}
+          world={world}
+          onClaimed={(cell) => { setOwnedCell(cell); setClaimOpen(false); }}
+          onClose={() => setClaimOpen(false)}
+        />
       )}
 
-      {/* HUD & scene appear underneath; the gate simply covers them until you own a cell */}
-      <div className="hud" style={{ display: showGate ? "none" : "flex" }}>
+      <div className="hud">
         <h1>Stellar Tactics – Grid Template</h1>
         <div className="controls">
           <button onClick={() => setSeed(Math.floor(Math.random() * 1e9))}>Randomize</button>
           <button onClick={() => setSeed(SEED_DEFAULT)}>Reset</button>
+          {!claimOpen && <button onClick={() => setClaimOpen(true)}>Claim a cell</button>}
         </div>
+        <div className="controls zoom-controls">
+          <button onClick={() => zoomAtCenter(zoom / ZOOM_STEP)} disabled={zoom <= MIN_ZOOM} aria-label="Zoom out">−</button>
+          <span className="zoom-level">{Math.round(zoom * 100)}%</span>
+          <button onClick={() => zoomAtCenter(zoom * ZOOM_STEP)} disabled={zoom >= MAX_ZOOM} aria-label="Zoom in">+</button>
+        </div>
+        <div className="controls renderer-controls">
+          <select value={renderer} onChange={(e) => setRenderer(e.target.value)} aria-label="Renderer">
+            {RENDERERS.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+          </select>
+          <label>
+            <input type="checkbox" checked={showFrameTime} onChange={(e) => setShowFrameTime(e.target.checked)} />
+            frame time
+          </label>
+          {showFrameTime && <FrameMeter />}
+          <label>
+            <input type="checkbox" checked={showTerritory} onChange={(e) => setShowTerritory(e.target.checked)} />
+            territories
+          </label>
+        </div>
+        <WalletMenu wallet={wallet} />
+        <WorldStats cells={cells} totalCells={worldConfig.totalCells} loaded={loaded} account={account} ownCount={myCells.length} onOpenStats={() => setStatsOpen(o => !o)} />
+        {feedStatus && <span className={`feed-status ${feedStatus}`}>{feedStatus}</span>}
       </div>
 
-      <div className="space-bg" style={{ display: showGate ? "none" : "block" }} />
-      <div className="space-stars" style={{ display: showGate ? "none" : "block" }} />
+      {configIssues.length > 0 && (
+        <div className="config-warning" role="alert">
+          {configIssues.map(issue => <div key={issue}>⚠ {issue}</div>)}
+        </div>
+      )}
+
+      <div className="space-bg" />
+      <div className="space-stars" />
+
+      {renderer === "canvas" && (
+        <CanvasScene
+          ref={canvasRef}
+          tiles={visibleTiles}
+          planets={planets}
+          decor={decor}
+          nebula={nebula}
+          territory={territory}
+          view={{ minX: viewMinX, minY: viewMinY, width: viewWidth, height: viewHeight }}
+          pan={pan}
+          bounds={WORLD}
+          gridSize={gridSize}
+        />
+      )}
 
       <svg
         ref={svgRef}
@@ -615,7 +772,6 @@ export default function App() {
         viewBox={viewBox}
         role="img"
         aria-label="isometric space grid"
-        style={{ visibility: showGate ? "hidden" : "visible" }}
         onPointerDown={onPointerDown}
         onPointerMove={onPointerMove}
         onPointerUp={onPointerUp}
@@ -626,7 +782,8 @@ export default function App() {
         {/* Everything that should move with pan goes inside this group */}
         <g ref={panLayerRef} transform={`translate(${pan.x} ${pan.y})`}>
 
-          {/* ---- Mask that hides the nebula INSIDE the isometric 11×11 diamond ---- */}
+          {renderer === "svg" && <>
+          {/* ---- Mask that hides the nebula INSIDE the isometric grid diamond ---- */}
           <mask id="nebula-cutout">
             {/* white = keep, black = hide */}
             <rect
@@ -645,7 +802,7 @@ export default function App() {
             />
           </mask>
 
-          {/* Nebula layers (masked so they don't show in the 11×11 area) */}
+          {/* Nebula layers (masked so they don't show over the grid) */}
           <g mask="url(#nebula-cutout)">
             {/* World-sized background that covers the entire 100x100 grid */}
             <rect
@@ -665,35 +822,55 @@ export default function App() {
             </g>
           </g>
 
-          {/* RENDER ONLY 11×11 TILES */}
+          {/* RENDER ONLY TILES UNDER THE VIEWPORT */}
           <g className="grid">
             {visibleTiles.map(t => (
-              <g
-                key={t.id}
-                data-x={t.x}
-                data-y={t.y}
-                data-r={t.r}
-                data-c={t.c}
-                transform={`translate(${t.x}, ${t.y})`}
-              >
-                <path d={tilePoly} className="tile" />
-              </g>
+              <path key={t.id} d={tilePoly} className="tile" transform={`translate(${t.x}, ${t.y})`} />
             ))}
           </g>
 
-          {/* Only show a planet at the connected wallet's owned cell */}
+          {/* Seeded background dressing: stars as round-capped zero-length strokes, rock outlines */}
+          <g className="decor" style={{ pointerEvents: "none" }}>
+            <path d={decorPaths.small} className="decor-star" strokeWidth={1.6} />
+            <path d={decorPaths.large} className="decor-star" strokeWidth={3.2} />
+            <path d={decorPaths.rocks} className="decor-rock" />
+          </g>
+
+          {/* Territory overlay: one tinted, outlined shape per connected same-owner region */}
+          {territoryPaths && (
+            <g className="territory" style={{ pointerEvents: "none" }}>
+              {territoryPaths.map(t => (
+                <path key={t.cells[0]} d={t.d} fill={t.color} stroke={t.color} className="territory-region" />
+              ))}
+            </g>
+          )}
+
+          {/* A planet on every occupied visible cell; ours is highlighted */}
           <g className="planets" style={{ pointerEvents: "none" }}>
-            {ownedCell && (() => {
-              const { x: px, y: py } = isoPos(ownedCell.x, ownedCell.y);
-              return (
-                <g transform={`translate(${px}, ${py})`}>
-                  <g transform="translate(0, -6)">
-                    <Planet type="terran" r={18} />
-                  </g>
+            {planets.map(p => (
+              <g
+                key={p.id}
+                className={p.mine ? "planet mine" : "planet other"}
+                transform={`translate(${p.x}, ${p.y})`}
+              >
+                {p.mine && <path d={tilePoly} className="tile-owned" />}
+                <g transform="translate(0, -6)">
+                  <Planet look={p.look} r={p.r} tilt={p.tilt} />
                 </g>
-              );
-            })()}
+                <text className="planet-label" y={22}>{p.label}</text>
+              </g>
+            ))}
           </g>
+          </>}
+
+          {/* Cell picked for claiming */}
+          {selectedPos && (
+            <path
+              d={tilePoly}
+              className="tile-selected"
+              transform={`translate(${selectedPos.x}, ${selectedPos.y})`}
+            />
+          )}
 
           {/* Single movable hover outline */}
           <path
@@ -705,32 +882,65 @@ export default function App() {
         </g>
       </svg>
 
-      {/* NEW: coordinate tooltip (right-click) */}
-      {tip && (
-        <div
-          className="coord-tip"
-          onClick={copyTip}
-          style={{
-            position: "fixed",
-            left: tip.x,
-            top: tip.y,
-            zIndex: 10000,
-            userSelect: "none"
-          }}
-          title="Click to copy"
-        >
-          <div className="coord-tip-main">X: {tip.r} &nbsp; Y: {tip.c}</div>
-          <div className="coord-tip-sub">Right-click another cell or click anywhere to hide</div>
-        </div>
+      {selectedCell && (
+        <CellInspector
+          cell={selectedCell}
+          gridSize={gridSize}
+          cells={cells}
+          resources={resources}
+          account={account}
+          claimHistory={claimHistory}
+          linkFor={(cell) => urlFor({ seed: seed === SEED_DEFAULT ? null : seed, cell })}
+          onCentre={(c) => setFocusCell({ ...c })}
+          onClaim={() => setClaimOpen(true)}
+          onClose={() => setSelectedCell(null)}
+        />
       )}
 
-      <footer className="legend" style={{ display: showGate ? "none" : "flex" }}>
-        <div className="badge terran">Terran</div>
-        <div className="badge desert">Desert</div>
-        <div className="badge ice">Ice</div>
-        <div className="badge lava">Lava</div>
-        <div className="badge gas">Gas Giant</div>
-        <div className="badge metallic">Metallic</div>
+      {statsOpen && (
+        <StatsPanel
+          cells={cells}
+          totalCells={worldConfig.totalCells}
+          resources={resources}
+          account={account}
+          history={claimHistory}
+          onSelectCell={(c) => { setSelectedCell(c); setFocusCell({ ...c }); }}
+          onClose={() => setStatsOpen(false)}
+        />
+      )}
+
+      {myCells.length > 0 && (
+        <MyCells
+          cells={myCells}
+          resources={resources}
+          focusCell={focusCell}
+          onSelect={(c) => setFocusCell({ x: c.x, y: c.y })}
+        />
+      )}
+
+      {/* viewRect from the live pan: `pan` lags behind a drag, and mid-drag re-renders would
+          otherwise redraw the rectangle at the drag start */}
+      <Minimap
+        ref={minimapRef}
+        cells={cells}
+        gridSize={gridSize}
+        bounds={WORLD}
+        account={account}
+        resources={resources}
+        ownerColors={showTerritory}
+        viewRect={viewRectAt(panRef.current)}
+        onNavigate={panToWorldPoint}
+      />
+
+      <ActivityPanel txs={txs} />
+
+      <footer className="legend">
+        {resources.map(r => (
+          <div key={r.id} className="badge" style={{ color: r.color }}>
+            <span className="badge-icon" aria-hidden="true">{r.icon}</span> {r.name}
+          </div>
+        ))}
+        <div className="badge mine">Your cells</div>
       </footer>
     </div>
   );
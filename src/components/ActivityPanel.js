@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import { explorerTxUrl } from "../contracts/networks";
+import { CONFIRMATION_TARGET, txManager } from "../contracts/transactions";
+import { shortAddr } from "../utils/format";
+
+const STATUS_TEXT = {
+  pending: "Pending",
+  confirmed: "Confirmed",
+  failed: "Failed",
+  replaced: "Replaced",
+};
+
+function TxHash({ hash }) {
+  const url = explorerTxUrl(hash);
+  return url
+    ? <a href={url} target="_blank" rel="noreferrer">{shortAddr(hash)}</a>
+    : <span title={hash}>{shortAddr(hash)}</span>;
+}
+
+/** Recent transactions with status, confirmations and explorer links (bottom-right corner). */
+export default function ActivityPanel({ txs, manager = txManager }) {
+  const [collapsed, setCollapsed] = useState(false);
+  if (!txs.length) return null;
+
+  const pending = txs.filter(t => t.status === "pending").length;
+
+  return (
+    <div className={`activity ${collapsed ? "collapsed" : ""}`}>
+      <div className="activity-head">
+        <button className="activity-toggle" onClick={() => setCollapsed(c => !c)}>
+          Activity{pending ? ` · ${pending} pending` : ""}
+        </button>
+        {!collapsed && txs.some(t => t.status !== "pending") && (
+          <button className="activity-clear" onClick={() => manager.clearSettled()}>Clear</button>
+        )}
+      </div>
+
+      {!collapsed && (
+        <ul className="activity-list">
+          {txs.map(t => (
+            <li key={t.id} className={`activity-item ${t.status}`}>
+              <div className="activity-row">
+                <span className="activity-label">{t.label}</span>
+                <span className="activity-status">
+                  {STATUS_TEXT[t.status]}
+                  {t.status === "confirmed" && t.confirmations < CONFIRMATION_TARGET &&
+                    ` ${t.confirmations}/${CONFIRMATION_TARGET}`}
+                </span>
+              </div>
+              <div className="activity-row activity-sub">
+                <TxHash hash={t.hash} />
+                {t.replacedHashes?.length > 0 && <span>sped up</span>}
+                {t.status === "replaced" && t.replacedBy && <span>by <TxHash hash={t.replacedBy} /></span>}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef } from "react";
+import { TILE_W, TILE_H, isoPos } from "../world/iso";
+
+const TILE_FILL = "rgba(22,28,48,0.55)";
+const TILE_STROKE = "#2a3246";
+const OWNED_FILL = "rgba(126,243,200,0.12)";
+const OWNED_STROKE = "#7ef3c8";
+
+function diamond(path, x, y) {
+  const w2 = TILE_W / 2;
+  const h2 = TILE_H / 2;
+  path.moveTo(x, y - h2);
+  path.lineTo(x + w2, y);
+  path.lineTo(x, y + h2);
+  path.lineTo(x - w2, y);
+  path.closePath();
+}
+
+// Radial gradient instead of the SVG feTurbulence clouds, with the grid diamond cut out
+function drawNebula(ctx, bounds, gridSize, nebula) {
+  const top = isoPos(0, 0);
+  const right = isoPos(0, gridSize - 1);
+  const bottom = isoPos(gridSize - 1, gridSize - 1);
+  const left = isoPos(gridSize - 1, 0);
+
+  const path = new Path2D();
+  path.rect(bounds.minX, bounds.minY, bounds.width, bounds.height);
+  path.moveTo(top.x, top.y - TILE_H / 2);
+  path.lineTo(right.x + TILE_W / 2, right.y);
+  path.lineTo(bottom.x, bottom.y + TILE_H / 2);
+  path.lineTo(left.x - TILE_W / 2, left.y);
+  path.closePath();
+
+  const cx = bounds.minX + bounds.width * nebula.cx;
+  const cy = bounds.minY + bounds.height * nebula.cy;
+  const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, Math.max(bounds.width, bounds.height) * 0.85);
+  g.addColorStop(0, "#c8a6ff");
+  g.addColorStop(0.35, "#8b6fe0");
+  g.addColorStop(0.7, "#2b1f46");
+  g.addColorStop(1, "#0a0f22");
+
+  ctx.globalAlpha = 0.35;
+  ctx.fillStyle = g;
+  ctx.fill(path, "evenodd");
+  ctx.globalAlpha = 1;
+}
+
+function drawDecor(ctx, decor) {
+  ctx.fillStyle = "rgba(223,232,255,0.55)";
+  for (const p of decor.stars) ctx.fillRect(p.x - p.size, p.y - p.size, p.size * 2, p.size * 2);
+
+  const rocks = new Path2D();
+  for (const rock of decor.rocks) {
+    rock.forEach((p, i) => (i ? rocks.lineTo(p.x, p.y) : rocks.moveTo(p.x, p.y)));
+    rocks.closePath();
+  }
+  ctx.fillStyle = "rgba(89,96,110,0.8)";
+  ctx.fill(rocks);
+}
+
+function drawTerritory(ctx, regions) {
+  ctx.lineWidth = 2;
+  ctx.lineJoin = "round";
+  for (const t of regions) {
+    const path = new Path2D();
+    for (const loop of t.loops) {
+      loop.forEach((p, i) => (i ? path.lineTo(p.x, p.y) : path.moveTo(p.x, p.y)));
+      path.closePath();
+    }
+    ctx.fillStyle = t.color;
+    ctx.strokeStyle = t.color;
+    ctx.globalAlpha = 0.16;
+    ctx.fill(path, "evenodd");
+    ctx.globalAlpha = 0.9;
+    ctx.stroke(path);
+  }
+  ctx.globalAlpha = 1;
+}
+
+function drawPlanet(ctx, p) {
+  const [inner, mid, outer] = p.look.stops;
+  const cy = p.y - 6;
+  const g = ctx.createRadialGradient(p.x - p.r * 0.3, cy - p.r * 0.3, 0, p.x, cy, p.r * 1.4);
+  g.addColorStop(0, inner);
+  g.addColorStop(0.5, mid);
+  g.addColorStop(1, outer);
+
+  ctx.fillStyle = g;
+  ctx.beginPath();
+  ctx.arc(p.x, cy, p.r, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = "rgba(255,255,255,0.35)";
+  ctx.lineWidth = 0.8;
+  ctx.stroke();
+
+  if (p.look.ring) {
+    ctx.save();
+    ctx.globalAlpha *= 0.7;
+    ctx.strokeStyle = p.look.ring;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.ellipse(p.x, cy, p.r + 10, p.r / 2.3, p.tilt * Math.PI / 180, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+/**
+ * Canvas 2D backend for the grid: draws the same tile list and planet model as the SVG layers,
+ * underneath the (then nearly empty) SVG, which keeps handling pointer input.
+ *
+ * Imperative handle: draw(pan) for per-frame redraws while dragging.
+ */
+const CanvasScene = forwardRef(function CanvasScene({ tiles, planets, decor, nebula, territory, view, pan, bounds, gridSize }, ref) {
+  const canvasRef = useRef(null);
+  const stateRef = useRef({ pan });
+  stateRef.current = { ...stateRef.current, tiles, planets, decor, nebula, territory, view, bounds, gridSize };
+
+  // world -> CSS px, matching the SVG's preserveAspectRatio="xMidYMid meet"
+  function transformFor(canvas, v, p) {
+    const w = canvas.clientWidth;
+    const h = canvas.clientHeight;
+    const s = Math.min(w / v.width, h / v.height);
+    return {
+      s,
+      tx: (w - v.width * s) / 2 + (p.x - v.minX) * s,
+      ty: (h - v.height * s) / 2 + (p.y - v.minY) * s,
+    };
+  }
+
+  function draw(p = stateRef.current.pan) {
+    stateRef.current.pan = p;
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext("2d");
+    if (!ctx) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.round(canvas.clientWidth * dpr);
+    const h = Math.round(canvas.clientHeight * dpr);
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+    const { s, tx, ty } = transformFor(canvas, stateRef.current.view, p);
+    ctx.setTransform(dpr * s, 0, 0, dpr * s, dpr * tx, dpr * ty);
+
+    drawNebula(ctx, stateRef.current.bounds, stateRef.current.gridSize, stateRef.current.nebula);
+
+    // all tiles as one path: one fill + one stroke call
+    const grid = new Path2D();
+    for (const t of stateRef.current.tiles) diamond(grid, t.x, t.y);
+    ctx.fillStyle = TILE_FILL;
+    ctx.fill(grid);
+    ctx.strokeStyle = TILE_STROKE;
+    ctx.lineWidth = 1;
+    ctx.stroke(grid);
+
+    drawDecor(ctx, stateRef.current.decor);
+    if (stateRef.current.territory) drawTerritory(ctx, stateRef.current.territory);
+
+    const owned = new Path2D();
+    for (const pl of stateRef.current.planets) if (pl.mine) diamond(owned, pl.x, pl.y);
+    ctx.fillStyle = OWNED_FILL;
+    ctx.fill(owned);
+    ctx.strokeStyle = OWNED_STROKE;
+    ctx.lineWidth = 1.4;
+    ctx.stroke(owned);
+
+    ctx.font = "8px ui-sans-serif, system-ui, sans-serif";
+    ctx.textAlign = "center";
+    for (const pl of stateRef.current.planets) {
+      ctx.globalAlpha = pl.mine ? 1 : 0.85;
+      drawPlanet(ctx, pl);
+      ctx.fillStyle = pl.mine ? OWNED_STROKE : "rgba(216,231,255,0.8)";
+      ctx.fillText(pl.label, pl.x, pl.y + 22);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  useImperativeHandle(ref, () => ({ draw }));
+
+  // redraw whenever the model changes, at the live pan: the committed `pan` prop lags behind
+  // a drag, and applyPan / the drag rAF keep stateRef.current.pan current through draw(pan)
+  useEffect(() => {
+    draw();
+  });
+
+  useEffect(() => {
+    const onResize = () => draw();
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return <canvas ref={canvasRef} className="scene-canvas" />;
+});
+
+export default CanvasScene;
@@ -0,0 +1,118 @@
+import React, { useEffect, useState } from "react";
+import { explorerAddressUrl, explorerTxUrl } from "../contracts/networks";
+import { findCellClaim } from "../contracts/cellEvents";
+import { lookupName } from "../contracts/names";
+import { cellIndex } from "../contracts/worldState";
+import { shortAddr } from "../utils/format";
+import Identicon from "./Identicon";
+
+function ExternalLink({ url, title, children }) {
+  return url
+    ? <a href={url} target="_blank" rel="noreferrer" title={title}>{children}</a>
+    : <span title={title}>{children}</span>;
+}
+
+/**
+ * Details for the selected cell: occupancy, owner (ENS name when the network has one),
+ * resource and the claim's block / tx from CellOccupied, plus quick actions.
+ */
+export default function CellInspector({ cell, gridSize, cells, resources, account, claimHistory, linkFor, onCentre, onClaim, onClose }) {
+  const occupant = cells.get(cellIndex(cell.x, cell.y, gridSize)) || null;
+  const owner = occupant?.owner ?? null;
+
+  const [name, setName] = useState(null);
+  const [claim, setClaim] = useState(null);       // { blockNumber, txHash, timestamp } | null
+  const [history, setHistory] = useState("idle"); // idle | loading | done | error
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    setName(null);
+    if (!owner) return;
+    let cancelled = false;
+    lookupName(owner).then(n => { if (!cancelled) setName(n); });
+    return () => { cancelled = true; };
+  }, [owner]);
+
+  useEffect(() => {
+    setClaim(null);
+    setHistory(owner ? "loading" : "idle");
+    if (!owner) return;
+    // the stats panel's claim history answers without a log scan while it is open and caught up
+    const known = claimHistory?.findClaim(cell.x, cell.y, owner);
+    const controller = new AbortController();
+    const lookup = known === undefined
+      ? findCellClaim({ x: cell.x, y: cell.y, owner, signal: controller.signal })
+      : Promise.resolve(known && claimHistory.blockTime(known.blockNumber).then(timestamp => ({ ...known, timestamp })));
+    lookup
+      .then(found => {
+        if (controller.signal.aborted) return;
+        setClaim(found);
+        setHistory("done");
+      })
+      .catch(e => {
+        console.error(e);
+        if (!controller.signal.aborted) setHistory("error");
+      });
+    // a superseded lookup stops scanning at its next chunk
+    return () => controller.abort();
+  }, [cell.x, cell.y, owner, claimHistory]);
+
+  useEffect(() => { setCopied(false); }, [cell.x, cell.y]);
+
+  function copyLink() {
+    navigator.clipboard?.writeText(linkFor(cell))
+      .then(() => setCopied(true))
+      .catch(() => {});
+  }
+
+  const resource = occupant ? resources[occupant.resourceId] : null;
+
+  return (
+    <div className="inspector">
+      <div className="inspector-head">
+        <span className="inspector-coord">Cell ({cell.x}, {cell.y})</span>
+        <button className="panel-close" onClick={onClose} aria-label="Close">×</button>
+      </div>
+
+      <dl className="inspector-fields">
+        <dt>Status</dt>
+        <dd className={occupant ? "taken" : "free"}>{occupant ? "Occupied" : "Free"}</dd>
+
+        {occupant && <>
+          <dt>Owner</dt>
+          <dd>
+            <Identicon address={owner} size={14} />
+            <ExternalLink url={explorerAddressUrl(owner)} title={owner}>
+              {owner === account ? "You" : name || shortAddr(owner)}
+            </ExternalLink>
+            {owner === account && name && <span className="inspector-sub"> · {name}</span>}
+          </dd>
+
+          <dt>Resource</dt>
+          <dd style={{ color: resource?.color }}>
+            {resource ? `${resource.icon} ${resource.name}` : `#${occupant.resourceId}`}
+          </dd>
+
+          <dt>Claimed</dt>
+          <dd>
+            {history === "loading" && "Looking up…"}
+            {history === "error" && "History unavailable"}
+            {history === "done" && !claim && "No claim log found"}
+            {claim && <>
+              block {claim.blockNumber}
+              {claim.timestamp && <span className="inspector-sub"> · {new Date(claim.timestamp * 1000).toLocaleString()}</span>}
+              <br />
+              tx <ExternalLink url={explorerTxUrl(claim.txHash)} title={claim.txHash}>{shortAddr(claim.txHash)}</ExternalLink>
+            </>}
+          </dd>
+        </>}
+      </dl>
+
+      <div className="inspector-actions">
+        <button onClick={copyLink}>{copied ? "Copied" : "Copy link"}</button>
+        <button onClick={() => onCentre(cell)}>Centre view</button>
+        {!occupant && <button onClick={() => onClaim(cell)}>Claim</button>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import React, { useEffect, useState } from "react";
+import { formatEther } from "ethers";
+import { getContractMain, getSignerContractMain } from "../contracts/contractMain";
+import { getActiveNetwork } from "../contracts/networks";
+import { getWorldConfig } from "../contracts/worldConfig";
+import { isActiveChain, switchToActiveNetwork } from "../contracts/walletNetwork";
+import { decodeContractError, describeContractError } from "../contracts/errors";
+import { preflightOccupy } from "../contracts/occupy";
+import { txManager } from "../contracts/transactions";
+import { cellIndex } from "../contracts/worldState";
+import WalletMenu from "./WalletMenu";
+import { shortAddr } from "../utils/format";
+
+/**
+ * Claim form for one cell. `cell` ({x, y}) prefills the coordinates when a tile is clicked;
+ * the inputs stay editable for claiming by typed coordinates.
+ */
+export default function ClaimPanel({ cell, gridSize, cells, resources, wallet, world, onClaimed, onClose }) {
+  const [x, setX] = useState(cell ? String(cell.x) : "");
+  const [y, setY] = useState(cell ? String(cell.y) : "");
+  const [resourceId, setResourceId] = useState(0);
+  const [feeWei, setFeeWei] = useState(() => getWorldConfig().occupyFeeWei);
+  const [busy, setBusy] = useState(false);
+  const [submitted, setSubmitted] = useState(false); // signed, waiting for the receipt
+  const [checking, setChecking] = useState(false);
+  const [quote, setQuote] = useState(null);  // successful preflight, shown until confirmed
+  const [switching, setSwitching] = useState(false);
+  const [error, setError] = useState("");
+
+  const { account, chainId: walletChainId } = wallet;
+  const network = getActiveNetwork();
+  const wrongNetwork = walletChainId !== null && !isActiveChain(walletChainId);
+  const symbol = network.nativeCurrency?.symbol || "ETH";
+
+  // follow clicks on the grid
+  useEffect(() => {
+    if (!cell) return;
+    setX(String(cell.x));
+    setY(String(cell.y));
+    setError("");
+  }, [cell]);
+
+  // any edit invalidates the last simulation
+  useEffect(() => { setQuote(null); }, [x, y, resourceId, account, walletChainId]);
+
+  // The fee comes with the startup config; read it here only if that failed
+  useEffect(() => {
+    if (feeWei !== null) return;
+    (async () => {
+      try {
+        const c = getContractMain();
+        const fee = await c.occupyFeeWei();
+        setFeeWei(fee);
+      } catch (e) {
+        console.error(e);
+        setError("Failed to read occupy fee from contract.");
+      }
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const xi = Number(x);
+  const yi = Number(y);
+  const validCoords = x !== "" && y !== "" && Number.isInteger(xi) && Number.isInteger(yi)
+    && xi >= 0 && yi >= 0 && xi < gridSize && yi < gridSize;
+  const occupant = validCoords ? cells.get(cellIndex(xi, yi, gridSize)) : null;
+
+  async function handleSwitchNetwork() {
+    setError("");
+    setSwitching(true);
+    try {
+      await switchToActiveNetwork(); // wallet emits chainChanged on success
+    } catch (e) {
+      console.error(e);
+      setError(e?.code === 4001 ? "Network switch was rejected." : `Could not switch to ${network.name}.`);
+    } finally {
+      setSwitching(false);
+    }
+  }
+
+  /** ---- Step 1: validate + simulate, no signature yet ---- */
+  async function handleCheck() {
+    setError("");
+    setQuote(null);
+    if (!Number.isInteger(xi) || !Number.isInteger(yi)) {
+      setError("Coordinates must be integers.");
+      return;
+    }
+    if (!validCoords) {
+      setError(`Coordinates must be within 0..${gridSize - 1}.`);
+      return;
+    }
+    if (occupant) {
+      setError("That cell is already occupied.");
+      return;
+    }
+    if (!resources.some(r => r.id === resourceId)) {
+      setError("Invalid resource type.");
+      return;
+    }
+    if (wrongNetwork) {
+      setError(`Switch your wallet to ${network.name} first.`);
+      return;
+    }
+
+    setChecking(true);
+    try {
+      const c = await getSignerContractMain();
+      const result = await preflightOccupy(c, { x: xi, y: yi, resourceId });
+      if (!result.ok) {
+        setError(result.reason);
+        return;
+      }
+      setFeeWei(result.feeWei);
+      setQuote(result);
+    } catch (e) {
+      console.error(e);
+      setError(describeContractError(decodeContractError(e)));
+    } finally {
+      setChecking(false);
+    }
+  }
+
+  /** ---- Step 2: sign and send what was simulated ---- */
+  async function handleOccupy() {
+    setError("");
+    try {
+      setBusy(true);
+      const c = await getSignerContractMain();
+
+      const tx = await c.occupyAt(xi, yi, resourceId, { value: quote.feeWei, gasLimit: quote.gasLimit });
+      setSubmitted(true);
+      const id = await txManager.track(tx, {
+        label: `Occupy (${xi}, ${yi})`,
+        meta: { kind: "occupy", x: xi, y: yi, resourceId },
+      });
+      const record = await txManager.waitFor(id);
+
+      if (record.status === "confirmed") {
+        await world.refreshCell(xi, yi);
+        onClaimed({ x: xi, y: yi });
+      } else if (record.status === "failed") {
+        setError("The transaction reverted on chain.");
+      } else {
+        setError("The transaction was replaced or cancelled in the wallet.");
+      }
+    } catch (e) {
+      console.error(e);
+      const decoded = decodeContractError(e);
+      setError(decoded.kind === "unknown"
+        ? "Failed to occupy the cell. See console for details."
+        : describeContractError(decoded));
+    } finally {
+      setBusy(false);
+      setSubmitted(false);
+      setQuote(null);
+    }
+  }
+
+  return (
+    <div className="claim-panel gate-card">
+      <div className="gate-head">
+        <h2>Claim a Cell</h2>
+        <WalletMenu wallet={wallet} onError={setError} />
+        {onClose && <button className="panel-close" onClick={onClose} aria-label="Close">×</button>}
+      </div>
+
+      <div className="gate-row" style={{ gridTemplateColumns: "1fr 1fr 1fr" }}>
+        <div className="gate-input">
+          <label htmlFor="gx">X (0–{gridSize - 1})</label>
+          <input id="gx" type="number" min="0" max={gridSize - 1} value={x} onChange={e => setX(e.target.value)} />
+        </div>
+
+        <div className="gate-input">
+          <label htmlFor="gy">Y (0–{gridSize - 1})</label>
+          <input id="gy" type="number" min="0" max={gridSize - 1} value={y} onChange={e => setY(e.target.value)} />
+        </div>
+
+        <div className="gate-input">
+          <label htmlFor="gres">Resource Type</label>
+          <select
+            id="gres"
+            value={resourceId}
+            onChange={(e) => setResourceId(Number(e.target.value))}
+            style={{
+              all: "unset",
+              padding: "10px 12px",
+              borderRadius: "10px",
+              border: "1px solid #333",
+              background: "#111",
+              color: "#fff",
+              cursor: "pointer"
+            }}
+          >
+            {resources.map(r => (
+              <option key={r.id} value={r.id} style={{ color: "#000" }}>
+                {r.icon} {r.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {validCoords && (
+        <div className={`claim-status ${occupant ? "taken" : "free"}`}>
+          {occupant
+            ? `Occupied by ${occupant.owner === account ? "you" : shortAddr(occupant.owner)} · ${resources[occupant.resourceId]?.name ?? `#${occupant.resourceId}`}`
+            : "Free to claim"}
+        </div>
+      )}
+
+      {wrongNetwork && (
+        <div className="gate-network">
+          <span>Your wallet is on chain {walletChainId}; this world lives on {network.name} ({network.chainId}).</span>
+          <button className="gate-btn" disabled={switching} onClick={handleSwitchNetwork}>
+            {switching ? "Switching…" : `Switch to ${network.name}`}
+          </button>
+        </div>
+      )}
+
+      {quote && (
+        <div className="claim-quote">
+          <div><span>Fee</span><span>{formatEther(quote.feeWei)} {symbol}</span></div>
+          <div>
+            <span>Gas ({quote.gasEstimate.toLocaleString()} units)</span>
+            <span>≈ {formatEther(quote.gasCostWei)} {symbol}</span>
+          </div>
+          <div className="claim-quote-total"><span>Total</span><span>≈ {formatEther(quote.totalWei)} {symbol}</span></div>
+        </div>
+      )}
+
+      <div className="gate-actions">
+        {quote ? (
+          <>
+            <button className="gate-btn" disabled={busy} onClick={handleOccupy}>
+              {submitted ? "Pending…" : busy ? "Occupying…" : "Confirm & sign"}
+            </button>
+            <button className="gate-btn" disabled={busy} onClick={() => setQuote(null)}>Cancel</button>
+          </>
+        ) : (
+          <button
+            className="gate-btn"
+            disabled={checking || wrongNetwork || !account || !!occupant}
+            onClick={handleCheck}
+          >
+            {checking ? "Checking…" : "Occupy"}
+          </button>
+        )}
+        <div className="gate-hint">
+          Fee: {feeWei ? `${formatEther(feeWei)} ${symbol}` : "loading…"}
+        </div>
+      </div>
+
+      {error && <div className="gate-error">{error}</div>}
+    </div>
+  );
+}
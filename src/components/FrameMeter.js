@@ -0,0 +1,33 @@
+import React, { useEffect, useRef } from "react";
+
+const SAMPLE_FRAMES = 60;
+const UPDATE_MS = 500;
+
+/** Rolling average frame time; writes to the DOM directly so measuring doesn't cost renders. */
+export default function FrameMeter() {
+  const textRef = useRef(null);
+
+  useEffect(() => {
+    const deltas = [];
+    let last = performance.now();
+    let lastUpdate = last;
+    let raf = 0;
+
+    const tick = (now) => {
+      deltas.push(now - last);
+      if (deltas.length > SAMPLE_FRAMES) deltas.shift();
+      last = now;
+      if (now - lastUpdate > UPDATE_MS && textRef.current) {
+        const avg = deltas.reduce((a, b) => a + b, 0) / deltas.length;
+        const worst = Math.max(...deltas);
+        textRef.current.textContent = `${avg.toFixed(1)} ms · ${Math.round(1000 / avg)} fps · max ${worst.toFixed(0)} ms`;
+        lastUpdate = now;
+      }
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, []);
+
+  return <span ref={textRef} className="frame-meter">–</span>;
+}
@@ -0,0 +1,13 @@
+import React, { useMemo } from "react";
+import { identicon } from "../world/territory";
+
+/** Owner identicon: the same 5×5 pattern and colour as the address's territory. */
+export default function Identicon({ address, size = 16 }) {
+  const { color, cells } = useMemo(() => identicon(address), [address]);
+  return (
+    <svg className="identicon" width={size} height={size} viewBox="0 0 5 5" aria-hidden="true">
+      <rect width="5" height="5" fill="rgba(255,255,255,0.08)" />
+      {cells.flatMap((row, y) => row.map((on, x) => (on ? <rect key={`${x}-${y}`} x={x} y={y} width="1" height="1" fill={color} /> : null)))}
+    </svg>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef } from "react";
+import { TILE_W, isoPos } from "../world/iso";
+import { cellCoords } from "../contracts/worldState";
+import { ownerColor } from "../world/territory";
+
+const WIDTH = 240;                    // CSS px; height follows the world's aspect ratio
+
+const UNKNOWN_COLOR = "#6b7280";
+const MINE_COLOR = "#7ef3c8";
+const EMPTY_COLOR = "rgba(42,50,70,0.9)";
+
+/**
+ * Whole-world overview drawn on canvas: every cell coloured by resource (or by owner while the
+ * territory overlay is on), plus a
+ * rectangle for the current viewport. Dragging on it reports world coordinates via onNavigate.
+ *
+ * The parent moves the viewport rectangle imperatively (ref.drawViewport(rect)) so it can
+ * follow a drag in the main scene without re-rendering.
+ */
+const Minimap = forwardRef(function Minimap({ cells, gridSize, bounds, account, resources, ownerColors = false, viewRect, onNavigate }, ref) {
+  const baseRef = useRef(null);
+  const overlayRef = useRef(null);
+  const draggingRef = useRef(false);
+
+  const height = Math.round(WIDTH * (bounds.height / bounds.width));
+  const scale = WIDTH / bounds.width;   // CSS px per world unit
+  const dpr = typeof window !== "undefined" ? window.devicePixelRatio || 1 : 1;
+
+  // world -> minimap px
+  const toMap = (wx, wy) => ({ x: (wx - bounds.minX) * scale, y: (wy - bounds.minY) * scale });
+
+  function prepare(canvas) {
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return null;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, WIDTH, height);
+    return ctx;
+  }
+
+  // ---- Base layer: grid diamond + occupied cells ----
+  useEffect(() => {
+    const canvas = baseRef.current;
+    const ctx = canvas && prepare(canvas);
+    if (!ctx) return;
+
+    const corners = [isoPos(0, 0), isoPos(0, gridSize - 1), isoPos(gridSize - 1, gridSize - 1), isoPos(gridSize - 1, 0)];
+    const [top, right, bottom, left] = corners.map(p => toMap(p.x, p.y));
+    const cw = Math.max(1, (TILE_W / 2) * scale); // half tile width in px
+    ctx.fillStyle = EMPTY_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(top.x, top.y - cw / 2);
+    ctx.lineTo(right.x + cw, right.y);
+    ctx.lineTo(bottom.x, bottom.y + cw / 2);
+    ctx.lineTo(left.x - cw, left.y);
+    ctx.closePath();
+    ctx.fill();
+
+    const size = Math.max(1.5, 2 * cw * 0.9);
+    for (const [idx, cell] of cells) {
+      const { x, y } = cellCoords(idx, gridSize);
+      const p = isoPos(x, y);
+      const m = toMap(p.x, p.y);
+      ctx.fillStyle = ownerColors ? ownerColor(cell.owner)
+        : cell.owner === account ? MINE_COLOR
+        : resources[cell.resourceId]?.color ?? UNKNOWN_COLOR;
+      ctx.fillRect(m.x - size / 2, m.y - size / 4, size, size / 2);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cells, gridSize, account, resources, ownerColors, bounds.minX, bounds.minY, bounds.width, bounds.height, dpr]);
+
+  // ---- Overlay: viewport rectangle ----
+  function drawViewport(rect) {
+    const canvas = overlayRef.current;
+    const ctx = canvas && prepare(canvas);
+    if (!ctx || !rect) return;
+    const a = toMap(rect.minX, rect.minY);
+    const b = toMap(rect.maxX, rect.maxY);
+    ctx.strokeStyle = "#c5d3ff";
+    ctx.lineWidth = 1.5;
+    ctx.fillStyle = "rgba(159,180,255,0.12)";
+    ctx.fillRect(a.x, a.y, b.x - a.x, b.y - a.y);
+    ctx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+  }
+
+  useImperativeHandle(ref, () => ({ drawViewport }));
+
+  useEffect(() => {
+    drawViewport(viewRect);
+  });
+
+  // ---- Click / drag to pan the main scene ----
+  function navigate(e) {
+    const r = overlayRef.current.getBoundingClientRect();
+    onNavigate({
+      x: bounds.minX + (e.clientX - r.left) / scale,
+      y: bounds.minY + (e.clientY - r.top) / scale,
+    });
+  }
+
+  function onPointerDown(e) {
+    draggingRef.current = true;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    navigate(e);
+  }
+
+  function onPointerMove(e) {
+    if (draggingRef.current) navigate(e);
+  }
+
+  function onPointerUp(e) {
+    draggingRef.current = false;
+    e.currentTarget.releasePointerCapture?.(e.pointerId);
+  }
+
+  return (
+    <div className="minimap" style={{ width: WIDTH, height }}>
+      <canvas ref={baseRef} width={WIDTH * dpr} height={height * dpr} style={{ width: WIDTH, height }} />
+      <canvas
+        ref={overlayRef}
+        width={WIDTH * dpr}
+        height={height * dpr}
+        style={{ width: WIDTH, height }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      />
+    </div>
+  );
+});
+
+export default Minimap;
@@ -0,0 +1,29 @@
+import React, { useState } from "react";
+
+/** The connected wallet's cells; picking one recentres the map on it. */
+export default function MyCells({ cells, resources, focusCell, onSelect }) {
+  const [collapsed, setCollapsed] = useState(false);
+
+  return (
+    <div className="my-cells">
+      <button className="my-cells-head" onClick={() => setCollapsed(c => !c)}>
+        My cells ({cells.length})
+      </button>
+      {!collapsed && (
+        <ul>
+          {cells.map(c => {
+            const active = focusCell && focusCell.x === c.x && focusCell.y === c.y;
+            return (
+              <li key={c.idx}>
+                <button className={active ? "active" : ""} onClick={() => onSelect(c)}>
+                  <span className="my-cells-coord">({c.x}, {c.y})</span>
+                  <span className="my-cells-res">{resources[c.resourceId]?.name ?? `#${c.resourceId}`}</span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
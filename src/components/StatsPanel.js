@@ -0,0 +1,177 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { explorerTxUrl } from "../contracts/networks";
+import { lookupName } from "../contracts/names";
+import useClaimHistory from "../hooks/useClaimHistory";
+import { claimsByResource, claimTimeline, topOwners } from "../utils/stats";
+import { shortAddr } from "../utils/format";
+import Identicon from "./Identicon";
+
+const TOP_OWNERS = 10;
+const RECENT_CLAIMS = 10;
+const CHART_W = 276;
+const CHART_H = 72;
+
+function OwnerName({ owner, account }) {
+  const [name, setName] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    lookupName(owner).then(n => { if (!cancelled) setName(n); });
+    return () => { cancelled = true; };
+  }, [owner]);
+  return (
+    <span className="stats-owner" title={owner}>
+      <Identicon address={owner} size={12} />
+      {owner === account ? "You" : name || shortAddr(owner)}
+    </span>
+  );
+}
+
+// Local date-time for a block, once the node has returned its timestamp
+function useBlockTimes(history, blocks) {
+  const [times, setTimes] = useState({});
+  const key = blocks.join(",");
+  useEffect(() => {
+    let cancelled = false;
+    const wanted = key ? key.split(",").map(Number) : [];
+    Promise.all(wanted.map(b => history.blockTime(b))).then(ts => {
+      if (cancelled) return;
+      setTimes(Object.fromEntries(wanted.map((b, i) => [b, ts[i]])));
+    });
+    return () => { cancelled = true; };
+  }, [history, key]);
+  return (block) => (times[block] ? new Date(times[block] * 1000).toLocaleString() : null);
+}
+
+// Bars per block bucket, with the running total as a line over them
+function TimelineChart({ buckets }) {
+  const maxCount = Math.max(1, ...buckets.map(b => b.count));
+  const total = Math.max(1, buckets[buckets.length - 1]?.total ?? 0);
+  const w = CHART_W / buckets.length;
+  const line = buckets
+    .map((b, i) => `${((i + 1) * w).toFixed(1)},${(CHART_H - (b.total / total) * CHART_H).toFixed(1)}`)
+    .join(" ");
+
+  return (
+    <svg className="stats-chart" width={CHART_W} height={CHART_H} viewBox={`0 0 ${CHART_W} ${CHART_H}`}>
+      {buckets.map((b, i) => {
+        const h = (b.count / maxCount) * (CHART_H - 4);
+        return (
+          <rect key={b.from} className="stats-bar" x={i * w + 1} y={CHART_H - h} width={Math.max(1, w - 2)} height={h}>
+            <title>{`Blocks ${b.from}–${b.to}: ${b.count} claims (${b.total} total)`}</title>
+          </rect>
+        );
+      })}
+      <polyline className="stats-cumulative" points={`0,${CHART_H} ${line}`} />
+    </svg>
+  );
+}
+
+/**
+ * World statistics and leaderboard: fill, claims per resource and top owners from the indexed
+ * snapshot; recent claims and claims over time from the CellOccupied history, both live.
+ * The history is only backfilled while this panel is open.
+ */
+export default function StatsPanel({ cells, totalCells, resources, account, history, onSelectCell, onClose }) {
+  const { events, status } = useClaimHistory(history);
+
+  const fill = totalCells ? (cells.size / totalCells) * 100 : 0;
+  const perResource = useMemo(() => claimsByResource(cells, resources), [cells, resources]);
+  const maxPerResource = Math.max(1, ...perResource.map(r => r.count));
+  const leaders = useMemo(() => topOwners(cells, TOP_OWNERS), [cells]);
+  const owners = useMemo(() => new Set([...cells.values()].map(c => c.owner)).size, [cells]);
+
+  const recent = useMemo(() => events.slice(-RECENT_CLAIMS).reverse(), [events]);
+  const timeline = useMemo(
+    () => (events.length
+      ? claimTimeline(events, { fromBlock: events[0].blockNumber, toBlock: events[events.length - 1].blockNumber })
+      : []),
+    [events]
+  );
+  const span = timeline.length ? [timeline[0].from, timeline[timeline.length - 1].to] : [];
+  const timeOf = useBlockTimes(history, [...span, ...recent.map(ev => ev.blockNumber)]);
+
+  return (
+    <div className="stats-panel">
+      <div className="stats-head">
+        <span className="stats-title">World statistics</span>
+        {status && <span className={`feed-status ${status}`}>{status}</span>}
+        <button className="panel-close" onClick={onClose} aria-label="Close">×</button>
+      </div>
+
+      <section>
+        <div className="stats-row">
+          <span>Filled</span>
+          <span>{cells.size.toLocaleString()} / {totalCells.toLocaleString()} ({fill.toFixed(fill < 10 ? 1 : 0)}%)</span>
+        </div>
+        <div className="stats-meter"><div style={{ width: `${Math.min(100, fill)}%` }} /></div>
+        <div className="stats-row stats-sub">
+          <span>{owners.toLocaleString()} owners</span>
+          <span>{events.length.toLocaleString()} claims logged</span>
+        </div>
+      </section>
+
+      <section>
+        <h4>Claims by resource</h4>
+        {perResource.map(({ resource, count }) => (
+          <div key={resource.id} className="stats-row stats-resource">
+            <span style={{ color: resource.color }}>{resource.icon} {resource.name}</span>
+            <span className="stats-bar-track">
+              <span style={{ width: `${(count / maxPerResource) * 100}%`, background: resource.color }} />
+            </span>
+            <span className="stats-count">{count}</span>
+          </div>
+        ))}
+      </section>
+
+      <section>
+        <h4>Top owners</h4>
+        {leaders.length === 0 && <div className="stats-sub">No claims yet</div>}
+        <ol className="stats-leaders">
+          {leaders.map(({ owner, count }) => (
+            <li key={owner} className={owner === account ? "mine" : ""}>
+              <OwnerName owner={owner} account={account} />
+              <span className="stats-count">{count}</span>
+            </li>
+          ))}
+        </ol>
+      </section>
+
+      <section>
+        <h4>Claims over time</h4>
+        {timeline.length ? (
+          <>
+            <TimelineChart buckets={timeline} />
+            <div className="stats-row stats-sub">
+              <span>{timeOf(span[0]) ?? `block ${span[0]}`}</span>
+              <span>{timeOf(span[1]) ?? `block ${span[1]}`}</span>
+            </div>
+          </>
+        ) : (
+          <div className="stats-sub">{status === "live" ? "No claims yet" : "Reading claim history…"}</div>
+        )}
+      </section>
+
+      <section>
+        <h4>Recent claims</h4>
+        <ul className="stats-recent">
+          {recent.map(ev => {
+            const resource = resources[ev.resourceId];
+            const txUrl = explorerTxUrl(ev.txHash);
+            return (
+              <li key={`${ev.txHash}:${ev.logIndex}`}>
+                <button className="stats-cell" onClick={() => onSelectCell({ x: ev.x, y: ev.y })}>({ev.x}, {ev.y})</button>
+                <span style={{ color: resource?.color }} title={resource?.name}>{resource?.icon ?? `#${ev.resourceId}`}</span>
+                <OwnerName owner={ev.owner} account={account} />
+                <span className="stats-sub" title={`Block ${ev.blockNumber}`}>
+                  {txUrl
+                    ? <a href={txUrl} target="_blank" rel="noreferrer">{timeOf(ev.blockNumber) ?? `#${ev.blockNumber}`}</a>
+                    : timeOf(ev.blockNumber) ?? `#${ev.blockNumber}`}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      </section>
+    </div>
+  );
+}
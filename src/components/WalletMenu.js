@@ -0,0 +1,55 @@
+import React, { useState } from "react";
+import { walletManager } from "../wallet/walletManager";
+import { shortAddr } from "../utils/format";
+
+/** Connect / Disconnect control with a picker of every discovered wallet. */
+export default function WalletMenu({ wallet, manager = walletManager, onError }) {
+  const [open, setOpen] = useState(false);
+  const { connectors, connectorId, account, status } = wallet;
+
+  async function pick(id) {
+    setOpen(false);
+    try {
+      await manager.connect(id);
+    } catch (e) {
+      console.error(e);
+      onError?.(e?.code === 4001 ? "Wallet connection was rejected." : "Failed to connect the wallet.");
+    }
+  }
+
+  if (account) {
+    const connector = connectors.find(c => c.id === connectorId);
+    return (
+      <div className="wallet-menu">
+        {connector?.icon && <img className="wallet-icon" src={connector.icon} alt="" />}
+        <span className="wallet-addr" title={account}>{shortAddr(account)}</span>
+        <button className="wallet-btn" onClick={() => manager.disconnect()}>Disconnect</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="wallet-menu">
+      <button
+        className="wallet-btn"
+        disabled={status === "connecting"}
+        onClick={() => setOpen(o => !o)}
+      >
+        {status === "connecting" ? "Connecting…" : "Connect wallet"}
+      </button>
+      {open && (
+        <ul className="wallet-list">
+          {connectors.length === 0 && <li className="wallet-empty">No wallet found in this browser</li>}
+          {connectors.map(c => (
+            <li key={c.id}>
+              <button onClick={() => pick(c.id)}>
+                {c.icon && <img className="wallet-icon" src={c.icon} alt="" />}
+                {c.name}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React, { useMemo } from "react";
+import { getActiveNetwork } from "../contracts/networks";
+
+/**
+ * One-line world summary for the HUD: fill, owners and, without a wallet, a spectator badge.
+ * onOpenStats toggles the full statistics panel (StatsPanel).
+ * Everything comes from the indexed snapshot, so it works over the public RPC alone.
+ */
+export default function WorldStats({ cells, totalCells, loaded, account, ownCount, onOpenStats }) {
+  const owners = useMemo(() => new Set([...cells.values()].map(c => c.owner)).size, [cells]);
+  const fill = totalCells ? (cells.size / totalCells) * 100 : 0;
+
+  return (
+    <div className="world-stats">
+      {!account && (
+        <span className="spectator-badge" title={`Read-only view over ${getActiveNetwork().name}. Connect a wallet to claim.`}>
+          Spectating
+        </span>
+      )}
+      {loaded ? (
+        <>
+          <span title="Occupied cells">{cells.size.toLocaleString()} / {totalCells.toLocaleString()} ({fill.toFixed(fill < 10 ? 1 : 0)}%)</span>
+          <span title="Distinct owners">{owners.toLocaleString()} owners</span>
+          {account && <span title="Cells held by the connected wallet">{ownCount} yours</span>}
+          {onOpenStats && <button className="stats-open" onClick={onOpenStats}>Stats</button>}
+        </>
+      ) : (
+        <span>Loading world…</span>
+      )}
+    </div>
+  );
+}
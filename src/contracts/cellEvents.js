@@ -0,0 +1,151 @@
+import { getContractMain } from './contractMain';
+import { getActiveNetwork } from './networks';
+
+const LOG_CHUNK = 5000;   // max block range per eth_getLogs call
+export const POLL_MS = 4000;     // head polling interval once live; first retry delay
+const REORG_DEPTH = 12;   // blocks kept around to detect reorgs
+export const MAX_BACKOFF_MS = 30000;
+
+const toCellEvent = (log) => ({
+  x: Number(log.args.x),
+  y: Number(log.args.y),
+  owner: log.args.owner.toLowerCase(),
+  resourceId: Number(log.args.resourceId),
+  blockNumber: log.blockNumber,
+  blockHash: log.blockHash,
+  txHash: log.transactionHash,
+  logIndex: log.index,
+});
+
+/**
+ * Backfills CellOccupied from `fromBlock` (default: the network's deploy block), then follows the chain head.
+ *
+ * - onCell(ev)    for every log, in chain order
+ * - onRemoved(ev) for logs whose block was reorged out (they are re-scanned afterwards)
+ * - onStatus(s)   'backfilling' | 'live' | 'reconnecting'
+ *
+ * Returns a stop() function.
+ */
+export const watchCellOccupied = ({ fromBlock = getActiveNetwork().deployBlock, onCell, onRemoved, onStatus } = {}) => {
+  let contract = getContractMain();
+  let next = fromBlock;          // next block to scan
+  let stopped = false;
+  let timer = 0;
+  let backoff = POLL_MS;
+  let status = null;
+  // recently scanned blocks: number -> { hash, events }
+  const recent = new Map();
+
+  const setStatus = (s) => {
+    if (s !== status) {
+      status = s;
+      onStatus?.(s);
+    }
+  };
+
+  const remember = (number, hash, events) => {
+    const entry = recent.get(number);
+    if (entry) entry.events.push(...events);
+    else recent.set(number, { hash, events: [...events] });
+  };
+
+  // Walk back through remembered blocks; roll back everything above the fork point
+  const checkReorg = async (provider) => {
+    const numbers = [...recent.keys()].sort((a, b) => b - a);
+    let forkedFrom = null;
+    for (const n of numbers) {
+      const block = await provider.getBlock(n);
+      if (block && block.hash === recent.get(n).hash) break;
+      forkedFrom = n;
+    }
+    if (forkedFrom === null) return;
+
+    for (const n of numbers.filter(n => n >= forkedFrom)) {
+      const { events } = recent.get(n);
+      recent.delete(n);
+      [...events].reverse().forEach(ev => onRemoved?.(ev));
+    }
+    next = Math.min(next, forkedFrom);
+  };
+
+  const tick = async () => {
+    const provider = contract.runner;
+    const head = await provider.getBlockNumber();
+    await checkReorg(provider);
+
+    if (head - next >= LOG_CHUNK) setStatus('backfilling');
+    while (!stopped && next <= head) {
+      const to = Math.min(next + LOG_CHUNK - 1, head);
+      const logs = await contract.queryFilter(contract.filters.CellOccupied(), next, to);
+      if (stopped) return;
+
+      const events = logs.map(toCellEvent);
+      events.forEach(ev => onCell?.(ev));
+
+      // only blocks close to head can still be reorged
+      if (to > head - REORG_DEPTH) {
+        events.filter(ev => ev.blockNumber > head - REORG_DEPTH)
+          .forEach(ev => remember(ev.blockNumber, ev.blockHash, [ev]));
+        const tip = await provider.getBlock(to);
+        if (tip) remember(to, tip.hash, []);
+      }
+      next = to + 1;
+    }
+
+    for (const n of recent.keys()) {
+      if (n <= head - REORG_DEPTH) recent.delete(n);
+    }
+    setStatus('live');
+  };
+
+  const loop = async () => {
+    if (stopped) return;
+    try {
+      await tick();
+      backoff = POLL_MS;
+    } catch (e) {
+      if (stopped) return;
+      console.error(e);
+      setStatus('reconnecting');
+      // fresh provider on failure; the old one may hold a dead connection
+      contract = getContractMain();
+      backoff = Math.min(backoff * 2, MAX_BACKOFF_MS);
+    }
+    if (!stopped) timer = setTimeout(loop, backoff);
+  };
+
+  loop();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+/**
+ * The CellOccupied log that claimed (x, y) for `owner`, or null if none is found.
+ * `owner` is the event's only indexed field, so the node filters by it; chunks are scanned
+ * newest-first since recent claims are the common lookup.
+ *
+ * Resolves with { blockNumber, txHash, timestamp } (timestamp in seconds). Aborting `signal`
+ * stops the scan before its next chunk and resolves with null.
+ */
+export const findCellClaim = async ({ x, y, owner, signal, fromBlock = getActiveNetwork().deployBlock, contract = getContractMain() }) => {
+  const provider = contract.runner;
+  const head = await provider.getBlockNumber();
+  const filter = contract.filters.CellOccupied(null, null, owner);
+
+  for (let to = head; to >= fromBlock; to -= LOG_CHUNK) {
+    if (signal?.aborted) return null;
+    const from = Math.max(fromBlock, to - LOG_CHUNK + 1);
+    const logs = await contract.queryFilter(filter, from, to);
+    const hit = logs.map(toCellEvent).reverse().find(ev => ev.x === x && ev.y === y);
+    if (hit) {
+      const block = await provider.getBlock(hit.blockNumber);
+      return { blockNumber: hit.blockNumber, txHash: hit.txHash, timestamp: block?.timestamp ?? null };
+    }
+  }
+  return null;
+};
+
+export default watchCellOccupied;
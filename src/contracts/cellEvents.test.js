@@ -0,0 +1,147 @@
+import { findCellClaim, watchCellOccupied } from './cellEvents';
+import { getContractMain } from './contractMain';
+
+jest.mock('./contractMain', () => ({ getContractMain: jest.fn() }));
+
+const OWNER = '0x00000000000000000000000000000000000000a1';
+
+// Main contract stand-in whose queryFilter serves CellOccupied logs from a list
+function fakeContract(head, logs = []) {
+  const calls = [];
+  return {
+    calls,
+    runner: {
+      getBlockNumber: async () => head,
+      getBlock: async (n) => ({ number: n, hash: `0xb${n}`, timestamp: n * 12 }),
+    },
+    filters: { CellOccupied: (...args) => ({ args }) },
+    queryFilter: async (filter, from, to) => {
+      calls.push([from, to]);
+      return logs.filter(l => l.blockNumber >= from && l.blockNumber <= to);
+    },
+  };
+}
+
+const log = (x, y, blockNumber, index = 0) => ({
+  args: { x, y, owner: OWNER, resourceId: 2n },
+  blockNumber,
+  blockHash: `0xb${blockNumber}`,
+  transactionHash: `0xt${blockNumber}${index}`,
+  index,
+});
+
+test('finds the newest claim of a cell, scanning back from head', async () => {
+  const contract = fakeContract(12000, [log(1, 2, 300), log(1, 2, 11000)]);
+  const found = await findCellClaim({ x: 1, y: 2, owner: OWNER, fromBlock: 0, contract });
+  expect(found).toEqual({ blockNumber: 11000, txHash: '0xt110000', timestamp: 132000 });
+  expect(contract.calls).toEqual([[7001, 12000]]);
+});
+
+test('an aborted lookup stops before its next chunk', async () => {
+  const controller = new AbortController();
+  const contract = fakeContract(20000);
+  const queryFilter = contract.queryFilter;
+  contract.queryFilter = async (...args) => {
+    controller.abort();
+    return queryFilter(...args);
+  };
+  await expect(findCellClaim({ x: 1, y: 2, owner: OWNER, fromBlock: 0, contract, signal: controller.signal }))
+    .resolves.toBeNull();
+  expect(contract.calls).toHaveLength(1);
+});
+
+// ---- watchCellOccupied: a chain whose blocks can be re-hashed to simulate a reorg ----
+
+function fakeChain(head, logs) {
+  const chain = { head, logs, forkFrom: Infinity, calls: [], failNext: 0 };
+  const hashOf = (n) => `0x${n >= chain.forkFrom ? 'f' : 'a'}${n}`;
+  chain.contract = {
+    runner: {
+      getBlockNumber: async () => {
+        if (chain.failNext > 0) {
+          chain.failNext--;
+          throw new Error('rpc down');
+        }
+        return chain.head;
+      },
+      getBlock: async (n) => ({ number: n, hash: hashOf(n) }),
+    },
+    filters: { CellOccupied: () => ({}) },
+    queryFilter: async (filter, from, to) => {
+      chain.calls.push([from, to]);
+      return chain.logs
+        .filter(l => l.blockNumber >= from && l.blockNumber <= to)
+        .map(l => ({ ...l, blockHash: hashOf(l.blockNumber) }));
+    },
+  };
+  return chain;
+}
+
+// Lets a tick run to completion under fake timers
+const settle = async () => {
+  for (let i = 0; i < 200; i++) await Promise.resolve();
+};
+
+describe('watchCellOccupied', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('backfills in LOG_CHUNK ranges, in chain order, then goes live', async () => {
+    const chain = fakeChain(12000, [log(1, 1, 100), log(2, 2, 6000), log(3, 3, 11999)]);
+    getContractMain.mockReturnValue(chain.contract);
+    const onCell = jest.fn();
+    const onStatus = jest.fn();
+
+    const stop = watchCellOccupied({ fromBlock: 0, onCell, onStatus });
+    await settle();
+
+    expect(chain.calls).toEqual([[0, 4999], [5000, 9999], [10000, 12000]]);
+    expect(onCell.mock.calls.map(([ev]) => ev.blockNumber)).toEqual([100, 6000, 11999]);
+    expect(onStatus.mock.calls.map(([s]) => s)).toEqual(['backfilling', 'live']);
+    stop();
+  });
+
+  test('rolls back reorged blocks newest-first, then rescans from the fork', async () => {
+    const chain = fakeChain(100, [log(1, 1, 95, 0), log(2, 2, 95, 1), log(3, 3, 99)]);
+    getContractMain.mockReturnValue(chain.contract);
+    const onCell = jest.fn();
+    const onRemoved = jest.fn();
+
+    const stop = watchCellOccupied({ fromBlock: 90, onCell, onRemoved });
+    await settle();
+    expect(onCell).toHaveBeenCalledTimes(3);
+
+    // blocks from 95 up are replaced; the new branch no longer has the claim at 99
+    chain.forkFrom = 95;
+    chain.logs = chain.logs.filter(l => l.blockNumber !== 99);
+    chain.calls = [];
+    jest.advanceTimersByTime(4000);
+    await settle();
+
+    expect(onRemoved.mock.calls.map(([ev]) => [ev.x, ev.blockNumber])).toEqual([[3, 99], [2, 95], [1, 95]]);
+    expect(chain.calls).toEqual([[95, 100]]);
+    expect(onCell.mock.calls.slice(3).map(([ev]) => [ev.x, ev.blockHash])).toEqual([[1, '0xf95'], [2, '0xf95']]);
+    stop();
+  });
+
+  test('a failed tick reports reconnecting and retries with a fresh contract', async () => {
+    const chain = fakeChain(100, [log(1, 1, 95)]);
+    chain.failNext = 1;
+    getContractMain.mockReturnValue(chain.contract);
+    const onCell = jest.fn();
+    const onStatus = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const stop = watchCellOccupied({ fromBlock: 90, onCell, onStatus });
+    await settle();
+    expect(onStatus).toHaveBeenLastCalledWith('reconnecting');
+    expect(getContractMain).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(8000); // backoff doubled from POLL_MS
+    await settle();
+    expect(onStatus).toHaveBeenLastCalledWith('live');
+    expect(onCell).toHaveBeenCalledTimes(1);
+    stop();
+    console.error.mockRestore();
+  });
+});
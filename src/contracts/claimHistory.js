@@ -0,0 +1,102 @@
+import { getReadProvider } from './contractMain';
+import { getActiveNetwork } from './networks';
+import { watchCellOccupied } from './cellEvents';
+
+const eventKey = (ev) => `${ev.txHash}:${ev.logIndex}`;
+
+/**
+ * Every CellOccupied log since the deploy block, in chain order, kept live through the same
+ * feed as the world state. This is what the stats panel's recent claims and timeline read;
+ * it backfills the whole log range, so start it only while something is showing it.
+ *
+ * Same store shape as createWorldState (start/stop/subscribe/getSnapshot).
+ * Snapshot: { events: [cell events from cellEvents.js], status }
+ */
+export const createClaimHistory = ({
+  fromBlock = getActiveNetwork().deployBlock,
+  provider = getReadProvider(),
+  watch = watchCellOccupied,
+} = {}) => {
+  let snapshot = { events: [], status: null };
+  let events = [];
+  const listeners = new Set();
+  const blockTimes = new Map();   // blockNumber -> Promise<seconds | null>
+  let stopWatch = null;
+  let queued = false;
+
+  const publish = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach(fn => fn());
+  };
+
+  // A backfill chunk delivers its logs one by one; publish once per chunk, not per log
+  const publishEvents = () => {
+    if (queued) return;
+    queued = true;
+    queueMicrotask(() => {
+      queued = false;
+      publish({ events: events.slice() });
+    });
+  };
+
+  const start = () => {
+    if (stopWatch) return;
+    events = [];
+    publish({ events: [], status: 'loading' });
+    stopWatch = watch({
+      fromBlock,
+      onCell: (ev) => {
+        events.push(ev);
+        publishEvents();
+      },
+      onRemoved: (ev) => {
+        const key = eventKey(ev);
+        events = events.filter(e => eventKey(e) !== key);
+        publishEvents();
+      },
+      onStatus: (status) => publish({ status }),
+    });
+  };
+
+  const stop = () => {
+    stopWatch?.();
+    stopWatch = null;
+  };
+
+  /**
+   * Latest claim of (x, y) by `owner` as { blockNumber, txHash }, answered from memory; undefined
+   * unless the store is running and caught up, in which case null means there is none.
+   */
+  const findClaim = (x, y, owner) => {
+    if (!stopWatch || snapshot.status !== 'live') return undefined;
+    for (let i = events.length - 1; i >= 0; i--) {
+      const ev = events[i];
+      if (ev.x === x && ev.y === y && ev.owner === owner) return { blockNumber: ev.blockNumber, txHash: ev.txHash };
+    }
+    return null;
+  };
+
+  /** Timestamp (seconds) of a block, cached; null if the node can't return it. */
+  const blockTime = (blockNumber) => {
+    if (!blockTimes.has(blockNumber)) {
+      blockTimes.set(blockNumber, provider.getBlock(blockNumber)
+        .then(b => b?.timestamp ?? null)
+        .catch(() => null));
+    }
+    return blockTimes.get(blockNumber);
+  };
+
+  return {
+    start,
+    stop,
+    blockTime,
+    findClaim,
+    getSnapshot: () => snapshot,
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+};
+
+export default createClaimHistory;
@@ -0,0 +1,36 @@
+import { createClaimHistory } from './claimHistory';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+const ev = (x, blockNumber, logIndex = 0) =>
+  ({ x, y: 0, owner: '0xa', resourceId: 0, blockNumber, txHash: `0x${blockNumber}`, logIndex });
+
+test('collects claims from the feed and drops reorged ones', async () => {
+  let feed;
+  const history = createClaimHistory({
+    fromBlock: 10,
+    provider: { getBlock: async (n) => ({ timestamp: n * 12 }) },
+    watch: (opts) => { feed = opts; return () => { feed = null; }; },
+  });
+
+  history.start();
+  expect(feed.fromBlock).toBe(10);
+  expect(history.findClaim(1, 0, '0xa')).toBeUndefined(); // still backfilling
+  feed.onCell(ev(1, 11));
+  feed.onCell(ev(2, 12));
+  feed.onStatus('live');
+  await flush();
+  expect(history.getSnapshot().events.map(e => e.x)).toEqual([1, 2]);
+  expect(history.getSnapshot().status).toBe('live');
+
+  expect(history.findClaim(2, 0, '0xa')).toEqual({ blockNumber: 12, txHash: '0x12' });
+  expect(history.findClaim(5, 0, '0xa')).toBeNull();
+
+  feed.onRemoved(ev(2, 12));
+  await flush();
+  expect(history.getSnapshot().events.map(e => e.x)).toEqual([1]);
+  await expect(history.blockTime(11)).resolves.toBe(132);
+
+  history.stop();
+  expect(feed).toBeNull();
+  expect(history.findClaim(1, 0, '0xa')).toBeUndefined(); // not running: no answer from memory
+});
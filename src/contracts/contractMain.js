@@ -1,24 +1,46 @@
 
-import { BrowserProvider, Contract, JsonRpcProvider } from 'ethers';
+import { BrowserProvider, Contract, FallbackProvider, JsonRpcProvider, Network } from 'ethers';
 import contractABI from '../abis/contractMain.json';
+import { getActiveNetwork } from './networks';
+import { assertWalletNetwork } from './walletNetwork';
+import { getWalletProvider } from '../wallet/walletManager';
 
-export const contractMainAddress = '0xB8fbCCa410C254137C3dAa669a6508874B285b81';
-export const RPC = 'http://127.0.0.1:8545';
+// Read-only provider for the active network; several RPC URLs fail over to each other
+export const getReadProvider = (network = getActiveNetwork()) => {
+  const staticNetwork = Network.from(network.chainId);
+  const providers = network.rpcUrls.map(url => new JsonRpcProvider(url, staticNetwork, { staticNetwork }));
+  if (providers.length === 1) return providers[0];
+  return new FallbackProvider(
+    providers.map((provider, i) => ({ provider, priority: i + 1, stallTimeout: 1500 })),
+    staticNetwork,
+    { quorum: 1 }
+  );
+};
+
+// Startup reads give up after this long; ethers' own request timeout is 5 minutes
+export const STARTUP_READ_TIMEOUT_MS = 5000;
+
+/** Rejects if `promise` hasn't settled within `ms`; the underlying request is left to finish. */
+export const withTimeout = (promise, ms, what = 'Request') => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
 
-export const getContractMain = () => {
-  const provider = new JsonRpcProvider(RPC);
-  return new Contract(contractMainAddress, contractABI.abi, provider); // Burada .abi ekledik
+export const getContractMain = (network = getActiveNetwork()) => {
+  return new Contract(network.contractMain, contractABI.abi, getReadProvider(network)); // Burada .abi ekledik
 };
 
-export const getSignerContractMain = async () => {
-  if (typeof window !== 'undefined' && typeof window.ethereum !== 'undefined') {
-    await window.ethereum.request({ method: 'eth_requestAccounts' });
-    const provider = new BrowserProvider(window.ethereum);
-    const signer = await provider.getSigner();
-    return new Contract(contractMainAddress, contractABI.abi, signer); // Burada da .abi ekledik
-  } else {
-    throw new Error('Ethereum wallet is not installed');
-  }
+// `ethereum` is any EIP-1193 provider; defaults to the wallet picked in the connect menu
+export const getSignerContractMain = async (ethereum = getWalletProvider(), network = getActiveNetwork()) => {
+  if (!ethereum) throw new Error('No wallet connected');
+  await ethereum.request({ method: 'eth_requestAccounts' });
+  const provider = new BrowserProvider(ethereum);
+  await assertWalletNetwork(provider, network); // never sign against another chain
+  const signer = await provider.getSigner();
+  return new Contract(network.contractMain, contractABI.abi, signer); // Burada da .abi ekledik
 };
 
 
@@ -0,0 +1,102 @@
+import { Interface, formatEther, isError } from 'ethers';
+import contractABI from '../abis/contractMain.json';
+import { getActiveNetwork } from './networks';
+
+const iface = new Interface(contractABI.abi);
+
+// Where wallets and ethers tuck the original error / revert payload
+const NESTED_KEYS = ['error', 'info', 'data', 'cause', 'originalError', 'payload'];
+const MAX_DEPTH = 6;
+
+// Depth-first walk over an error and the errors it wraps
+function* errorChain(e, depth = 0) {
+  if (!e || typeof e !== 'object' || depth > MAX_DEPTH) return;
+  yield e;
+  for (const key of NESTED_KEYS) yield* errorChain(e[key], depth + 1);
+}
+
+// First hex payload in the chain that decodes as one of the ABI's custom errors
+const findCustomError = (e) => {
+  for (const err of errorChain(e)) {
+    if (err.revert?.name) return { name: err.revert.name, args: [...err.revert.args] };
+    const candidates = [err.data, err.data?.data].filter(d => typeof d === 'string' && d.startsWith('0x'));
+    for (const data of candidates) {
+      try {
+        const parsed = iface.parseError(data);
+        if (parsed) return { name: parsed.name, args: [...parsed.args] };
+      } catch {
+        // not one of ours (or truncated)
+      }
+    }
+  }
+  return null;
+};
+
+const someInChain = (e, test) => [...errorChain(e)].some(test);
+
+/**
+ * Classifies anything thrown by ethers or a wallet during a contract call:
+ *
+ *   { kind: 'contract', name, args }   custom error from the ABI, args in declaration order
+ *   { kind: 'rejected' }               user said no in the wallet
+ *   { kind: 'out-of-gas' }
+ *   { kind: 'insufficient-funds' }
+ *   { kind: 'rpc' }                    node / network trouble
+ *   { kind: 'revert', reason }         revert without a known custom error
+ *   { kind: 'unknown' }
+ *
+ * Every result also carries `error`, the original object.
+ */
+export const decodeContractError = (e) => {
+  const custom = findCustomError(e);
+  if (custom) return { kind: 'contract', ...custom, error: e };
+
+  if (isError(e, 'ACTION_REJECTED') || someInChain(e, err => err.code === 4001)) {
+    return { kind: 'rejected', error: e };
+  }
+  if (isError(e, 'INSUFFICIENT_FUNDS')) return { kind: 'insufficient-funds', error: e };
+
+  const receipt = e?.receipt;
+  const gasLimit = e?.transaction?.gasLimit;
+  if (
+    someInChain(e, err => /out of gas|intrinsic gas too low/i.test(err.message || '')) ||
+    (receipt && gasLimit && receipt.gasUsed >= gasLimit)
+  ) {
+    return { kind: 'out-of-gas', error: e };
+  }
+
+  if (
+    ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'BAD_DATA'].some(code => isError(e, code)) ||
+    someInChain(e, err => typeof err.code === 'number' && err.code <= -32000 && err.code >= -32099)
+  ) {
+    return { kind: 'rpc', error: e };
+  }
+
+  if (isError(e, 'CALL_EXCEPTION')) return { kind: 'revert', reason: e.reason || null, error: e };
+  return { kind: 'unknown', error: e };
+};
+
+/** Human-readable message for a decodeContractError() result. */
+export const describeContractError = (decoded, network = getActiveNetwork()) => {
+  const symbol = network.nativeCurrency?.symbol || 'ETH';
+  switch (decoded.kind) {
+    case 'contract': {
+      const [a, b] = decoded.args;
+      switch (decoded.name) {
+        case 'WrongFee': return `Wrong fee: sent ${formatEther(a)}, required ${formatEther(b)} ${symbol}.`;
+        case 'InvalidResourceType': return `Invalid resource type ${a}.`;
+        case 'AlreadyOccupied': return 'That cell is already occupied.';
+        case 'OutOfBounds': return 'Out of bounds.';
+        default: return `Contract rejected the call (${decoded.name}).`;
+      }
+    }
+    case 'rejected': return 'Transaction was rejected.';
+    case 'out-of-gas': return 'Transaction ran out of gas.';
+    case 'insufficient-funds': return `Not enough ${symbol} to pay the fee and gas.`;
+    case 'rpc': return `Could not reach the ${network.name} RPC. Try again in a moment.`;
+    case 'revert': return decoded.reason ? `Transaction reverted: ${decoded.reason}` : 'Transaction reverted.';
+    default: return 'Transaction failed. See console for details.';
+  }
+};
+
+export default decodeContractError;
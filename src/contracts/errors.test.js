@@ -0,0 +1,32 @@
+import { Interface, makeError, parseEther } from 'ethers';
+import contractABI from '../abis/contractMain.json';
+import { decodeContractError, describeContractError } from './errors';
+
+const iface = new Interface(contractABI.abi);
+const network = { name: 'Localhost', nativeCurrency: { symbol: 'ETH' } };
+
+test('decodes WrongFee with its arguments from nested revert data', () => {
+  const data = iface.encodeErrorResult('WrongFee', [parseEther('0.01'), parseEther('0.02')]);
+  // shape of a MetaMask JSON-RPC error wrapped by ethers
+  const e = makeError('could not coalesce error', 'UNKNOWN_ERROR', { error: { code: -32603, data: { data } } });
+
+  const decoded = decodeContractError(e);
+  expect(decoded.kind).toBe('contract');
+  expect(decoded.name).toBe('WrongFee');
+  expect(describeContractError(decoded, network)).toBe('Wrong fee: sent 0.01, required 0.02 ETH.');
+});
+
+test('decodes InvalidResourceType', () => {
+  const data = iface.encodeErrorResult('InvalidResourceType', [9]);
+  const decoded = decodeContractError({ data });
+  expect(decoded).toMatchObject({ kind: 'contract', name: 'InvalidResourceType' });
+  expect(describeContractError(decoded, network)).toBe('Invalid resource type 9.');
+});
+
+test('separates wallet rejections, gas and RPC failures', () => {
+  expect(decodeContractError(makeError('user rejected action', 'ACTION_REJECTED')).kind).toBe('rejected');
+  expect(decodeContractError({ code: 4001, message: 'User denied' }).kind).toBe('rejected');
+  expect(decodeContractError(new Error('execution reverted: out of gas')).kind).toBe('out-of-gas');
+  expect(decodeContractError(makeError('bad response', 'SERVER_ERROR')).kind).toBe('rpc');
+  expect(decodeContractError(new Error('???')).kind).toBe('unknown');
+});
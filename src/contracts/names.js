@@ -0,0 +1,21 @@
+import { getReadProvider } from './contractMain';
+
+// address (lowercase) -> Promise<string | null>; names rarely change within a session
+const cache = new Map();
+
+/**
+ * Reverse-resolved ENS name for an address, or null when there is none or the network
+ * has no ENS registry (ethers throws UNSUPPORTED_OPERATION there, e.g. on a local node).
+ */
+export const lookupName = (address, provider) => {
+  const key = address.toLowerCase();
+  if (!cache.has(key)) {
+    const lookup = (provider || getReadProvider())
+      .lookupAddress(address)
+      .catch(() => null);
+    cache.set(key, lookup);
+  }
+  return cache.get(key);
+};
+
+export default lookupName;
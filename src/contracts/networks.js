@@ -0,0 +1,109 @@
+// Network registry keyed by chainId. The active entry is chosen (in order of priority) by:
+//   1. public/config.json at runtime: { "chainId": 11155111, "networks": { "11155111": { ... } } }
+//   2. REACT_APP_CHAIN_ID plus per-field REACT_APP_* overrides at build time
+//   3. DEFAULT_CHAIN_ID
+export const NETWORKS = {
+  31337: {
+    chainId: 31337,
+    name: 'Localhost',
+    rpcUrls: ['http://127.0.0.1:8545'],
+    contractMain: '0xB8fbCCa410C254137C3dAa669a6508874B285b81',
+    deployBlock: 0,
+    explorerUrl: null,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+  },
+};
+
+export const DEFAULT_CHAIN_ID = 31337;
+
+const splitUrls = (v) => v.split(',').map(s => s.trim()).filter(Boolean);
+
+// Build-time overrides for whichever entry is selected
+const envOverrides = () => {
+  const env = process.env;
+  const o = {};
+  if (env.REACT_APP_RPC_URL) o.rpcUrls = splitUrls(env.REACT_APP_RPC_URL);
+  if (env.REACT_APP_CONTRACT_MAIN) o.contractMain = env.REACT_APP_CONTRACT_MAIN;
+  if (env.REACT_APP_DEPLOY_BLOCK) o.deployBlock = Number(env.REACT_APP_DEPLOY_BLOCK);
+  if (env.REACT_APP_EXPLORER_URL) o.explorerUrl = env.REACT_APP_EXPLORER_URL;
+  return o;
+};
+
+const normalize = (chainId, entry) => {
+  const rpcUrls = typeof entry.rpcUrls === 'string' ? splitUrls(entry.rpcUrls) : entry.rpcUrls;
+  if (!rpcUrls?.length) throw new Error(`Network ${chainId} has no RPC URL configured`);
+  if (!entry.contractMain) throw new Error(`Network ${chainId} has no contract address configured`);
+  return {
+    name: `Chain ${chainId}`,
+    deployBlock: 0,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    ...entry,
+    chainId: Number(chainId),
+    rpcUrls,
+    explorerUrl: entry.explorerUrl ? entry.explorerUrl.replace(/\/+$/, '') : null,
+  };
+};
+
+const select = (networks, chainId, overrides) => {
+  const base = networks[chainId];
+  if (!base && !overrides.rpcUrls) throw new Error(`Unknown network ${chainId}; add it to the registry`);
+  return normalize(chainId, { ...base, ...overrides });
+};
+
+const ENV_CHAIN_ID = Number(process.env.REACT_APP_CHAIN_ID || DEFAULT_CHAIN_ID);
+
+// Why the requested network couldn't be used, if it couldn't; the default chain stands in
+let issue = null;
+
+// Never throws: this runs on import, before config.json (which may define the env chain) is read
+const selectOrDefault = (networks, chainId, overrides) => {
+  try {
+    const network = select(networks, chainId, overrides);
+    issue = null;
+    return network;
+  } catch (e) {
+    console.error(e);
+    issue = `${e.message}; using ${NETWORKS[DEFAULT_CHAIN_ID].name} instead.`;
+    return normalize(DEFAULT_CHAIN_ID, NETWORKS[DEFAULT_CHAIN_ID]);
+  }
+};
+
+let registry = { ...NETWORKS };
+let active = selectOrDefault(registry, ENV_CHAIN_ID, envOverrides());
+
+/**
+ * Merges public/config.json (if present) into the registry and re-selects the active network.
+ * Call once before anything builds a provider; a missing or broken file keeps the build-time choice.
+ */
+export const loadRuntimeConfig = async (url = `${process.env.PUBLIC_URL || ''}/config.json`) => {
+  let config;
+  try {
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) return active;
+    config = await res.json();
+  } catch {
+    return active; // no runtime config (dev servers answer with index.html)
+  }
+
+  registry = { ...registry };
+  for (const [id, entry] of Object.entries(config.networks || {})) {
+    registry[id] = { ...registry[id], ...entry };
+  }
+  // the env chain is resolved again here, since config.json may be what defines it
+  const chainId = Number(config.chainId || ENV_CHAIN_ID);
+  // env overrides describe the env-selected chain only
+  active = selectOrDefault(registry, chainId, chainId === ENV_CHAIN_ID ? envOverrides() : {});
+  return active;
+};
+
+export const getActiveNetwork = () => active;
+
+/** Message explaining why the configured network was replaced by the default one, or null. */
+export const getNetworkIssue = () => issue;
+
+export const explorerTxUrl = (hash, network = active) =>
+  network.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : null;
+export const explorerAddressUrl = (address, network = active) =>
+  network.explorerUrl ? `${network.explorerUrl}/address/${address}` : null;
+
+export default getActiveNetwork;
@@ -0,0 +1,33 @@
+// networks.js selects on import, so each test loads a fresh copy under its own env
+const loadNetworks = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let mod;
+  jest.isolateModules(() => { mod = require('./networks'); });
+  process.env = saved;
+  return mod;
+};
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+test('an env chain missing from the bundle falls back instead of throwing on import', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const networks = loadNetworks({ REACT_APP_CHAIN_ID: '11155111' });
+
+  expect(networks.getActiveNetwork().chainId).toBe(networks.DEFAULT_CHAIN_ID);
+  expect(networks.getNetworkIssue()).toMatch(/Unknown network 11155111/);
+
+  // config.json defines the env chain, so it is used once read
+  global.fetch = async () => ({
+    ok: true,
+    json: async () => ({
+      networks: { 11155111: { name: 'Sepolia', rpcUrls: ['https://rpc.example'], contractMain: '0x01' } },
+    }),
+  });
+  await networks.loadRuntimeConfig('/config.json');
+  expect(networks.getActiveNetwork()).toMatchObject({ chainId: 11155111, name: 'Sepolia' });
+  expect(networks.getNetworkIssue()).toBeNull();
+});
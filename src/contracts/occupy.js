@@ -0,0 +1,41 @@
+import { getContractMain } from './contractMain';
+import { decodeContractError, describeContractError } from './errors';
+
+// Headroom on top of estimateGas so a slightly different state at inclusion doesn't run out of gas
+const GAS_HEADROOM_PCT = 120n;
+
+/**
+ * Dry-runs occupyAt against current chain state before the wallet is asked to sign.
+ *
+ * Resolves to { ok: true, feeWei, gasEstimate, gasLimit, gasPrice, gasCostWei, totalWei }
+ *        or   { ok: false, reason, decoded } when the call would revert (or cannot be checked).
+ */
+export const preflightOccupy = async (signerContract, { x, y, resourceId }) => {
+  try {
+    const reader = getContractMain();
+    if (await reader.isOccupied(x, y)) {
+      return { ok: false, reason: 'That cell is already occupied.', decoded: null };
+    }
+    const feeWei = await reader.occupyFeeWei(); // re-read: the fee may have changed since the panel opened
+    const args = [x, y, resourceId, { value: feeWei }];
+
+    await signerContract.occupyAt.staticCall(...args);
+    const gasEstimate = await signerContract.occupyAt.estimateGas(...args);
+    const gasLimit = (gasEstimate * GAS_HEADROOM_PCT) / 100n;
+
+    // Expected price is the current base fee plus tip; maxFeePerGas is only a cap, often ~2× that
+    const provider = signerContract.runner.provider;
+    const [feeData, block] = await Promise.all([provider.getFeeData(), provider.getBlock('latest')]);
+    const gasPrice = block?.baseFeePerGas != null && feeData.maxPriorityFeePerGas != null
+      ? block.baseFeePerGas + feeData.maxPriorityFeePerGas
+      : feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n; // pre-1559 chains
+    const gasCostWei = gasEstimate * gasPrice;
+
+    return { ok: true, feeWei, gasEstimate, gasLimit, gasPrice, gasCostWei, totalWei: feeWei + gasCostWei };
+  } catch (e) {
+    const decoded = decodeContractError(e);
+    return { ok: false, reason: describeContractError(decoded), decoded };
+  }
+};
+
+export default preflightOccupy;
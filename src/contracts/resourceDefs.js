@@ -0,0 +1,63 @@
+import { Contract } from 'ethers';
+import defsABI from '../abis/perseusDefs.json';
+import { getContractMain, withTimeout, STARTUP_READ_TIMEOUT_MS } from './contractMain';
+import { RESOURCES, resourceById } from '../world/resources';
+
+// isValidResource() probes per round; ids are uint8, so at most 256 in total
+const PROBE_BATCH = 16;
+const MAX_IDS = 256;
+
+let defs = { resources: RESOURCES, source: 'bundled', address: null };
+
+/**
+ * The definitions contract (IPerseusDefs) behind the main contract's DEFS(). Its compiled ABI
+ * isn't part of this repo; perseusDefs.json holds only isValidResource(uint8), the one call the
+ * main contract's bytecode makes into it (selector 0x99078cb5) before rejecting an id with
+ * InvalidResourceType. Nothing confirms any name or metadata getters, so none are read.
+ */
+export const getDefsContract = async (contract = getContractMain()) =>
+  new Contract(await contract.DEFS(), defsABI.abi, contract.runner);
+
+// Valid ids counted up from 0, stopping at the first gap
+const probeIds = async (defsContract) => {
+  const ids = [];
+  for (let start = 0; start < MAX_IDS; start += PROBE_BATCH) {
+    const batch = [];
+    for (let id = start; id < Math.min(start + PROBE_BATCH, MAX_IDS); id++) batch.push(id);
+    const valid = await Promise.all(batch.map(id => defsContract.isValidResource(id)));
+    const gap = valid.indexOf(false);
+    ids.push(...(gap === -1 ? batch : batch.slice(0, gap)));
+    if (gap !== -1) break;
+  }
+  return ids;
+};
+
+/**
+ * Loads the resource list from chain at startup: the valid id range from isValidResource().
+ * The contract exposes no names or other metadata we know of, so names, icons, colours and
+ * planet looks come from the bundled catalogue, keyed by id.
+ *
+ * If DEFS() or isValidResource() can't be read, or the whole read takes longer than
+ * `timeoutMs`, the bundled list is used as-is.
+ */
+export const loadResourceDefs = async (contract = getContractMain(), { timeoutMs = STARTUP_READ_TIMEOUT_MS } = {}) => {
+  const read = async () => {
+    const defsContract = await getDefsContract(contract);
+    const ids = await probeIds(defsContract);
+    if (!ids.length) throw new Error('Definitions contract reports no valid resources');
+    return { resources: ids.map(resourceById), source: 'chain', address: defsContract.target };
+  };
+
+  try {
+    defs = await withTimeout(read(), timeoutMs, 'Reading the resource definitions');
+  } catch (e) {
+    console.error(e);
+    defs = { resources: RESOURCES, source: 'bundled', address: null };
+  }
+  return defs;
+};
+
+/** { resources, source: 'chain' | 'bundled', address } */
+export const getResourceDefs = () => defs;
+
+export default getResourceDefs;
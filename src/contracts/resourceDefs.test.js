@@ -0,0 +1,64 @@
+import { Interface } from 'ethers';
+import defsABI from '../abis/perseusDefs.json';
+import mainABI from '../abis/contractMain.json';
+import { loadResourceDefs } from './resourceDefs';
+import { RESOURCES } from '../world/resources';
+
+const DEFS_ADDRESS = '0x00000000000000000000000000000000000000D1';
+const iface = new Interface(defsABI.abi);
+
+// Main contract whose DEFS() points at a definitions contract answering eth_call through the runner
+function fakeMain({ validIds }) {
+  const call = async (tx) => {
+    const { name, args } = iface.parseTransaction({ data: tx.data });
+    return iface.encodeFunctionResult(name, [validIds.includes(Number(args[0]))]);
+  };
+  return { DEFS: async () => DEFS_ADDRESS, runner: { provider: null, call } };
+}
+
+test('the DEFS ABI is exactly what the main contract calls into', () => {
+  // every PUSH4 in the main contract's runtime code that isn't one of its own selectors
+  const main = new Interface(mainABI.abi);
+  const own = new Set();
+  main.forEachFunction(f => own.add(f.selector));
+  main.forEachError(e => own.add(e.selector));
+  const code = mainABI.data.deployedBytecode.object;
+  const external = new Set();
+  for (let i = 0; i < code.length; i += 2) {
+    const op = parseInt(code.substr(i, 2), 16);
+    if (op === 0x63) external.add(`0x${code.substr(i + 2, 8)}`);
+    if (op >= 0x60 && op <= 0x7f) i += (op - 0x5f) * 2;
+  }
+  own.forEach(s => external.delete(s));
+  external.delete('0xffffffff'); // mask constant
+
+  const defsSelectors = [];
+  iface.forEachFunction(f => defsSelectors.push(f.selector));
+  expect([...external]).toEqual(defsSelectors);
+  expect(iface.getFunction('isValidResource').selector).toBe('0x99078cb5');
+});
+
+test('takes the id range from chain, names and visuals from the catalogue', async () => {
+  const defs = await loadResourceDefs(fakeMain({ validIds: [0, 1, 2, 3, 9] }));
+
+  expect(defs.source).toBe('chain');
+  expect(defs.address).toBe(DEFS_ADDRESS);
+  expect(defs.resources.map(r => r.id)).toEqual([0, 1, 2, 3]); // stops at the first gap
+  expect(defs.resources.map(r => r.name)).toEqual(RESOURCES.slice(0, 4).map(r => r.name));
+  expect(defs.resources[0].planet).toBe(RESOURCES[0].planet);
+});
+
+test('falls back to the bundled list when DEFS() fails', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const defs = await loadResourceDefs({ DEFS: async () => { throw new Error('rpc down'); }, runner: null });
+  expect(defs).toMatchObject({ resources: RESOURCES, source: 'bundled', address: null });
+  console.error.mockRestore();
+});
+
+test('falls back to the bundled list when the definitions contract hangs', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const hung = { DEFS: async () => DEFS_ADDRESS, runner: { provider: null, call: () => new Promise(() => {}) } };
+  const defs = await loadResourceDefs(hung, { timeoutMs: 10 });
+  expect(defs.source).toBe('bundled');
+  console.error.mockRestore();
+});
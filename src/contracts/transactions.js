@@ -0,0 +1,190 @@
+import { getReadProvider } from './contractMain';
+import { getActiveNetwork } from './networks';
+
+const STORAGE_KEY = 'perseus.txs';
+const MAX_RECORDS = 25;
+const POLL_MS = 4000;
+const CONFIRMATIONS = 3;        // shown as "n/3"; the record is settled once it has a receipt
+const REPLACEMENT_SCAN = 50;    // blocks searched for a speed-up / cancel of a vanished tx
+
+const browserStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+};
+
+const isSettled = (r) => r.status !== 'pending';
+const isFinal = (r) => isSettled(r) && (r.status !== 'confirmed' || r.confirmations >= CONFIRMATIONS);
+
+/**
+ * Submitted transactions, persisted in localStorage so they are picked up again after a reload.
+ *
+ * Record: { id, hash, chainId, from, nonce, to, data, startBlock, label, meta, submittedAt,
+ *           status: 'pending' | 'confirmed' | 'failed' | 'replaced',
+ *           confirmations, blockNumber, replacedHashes, replacedBy }
+ *
+ * `id` is the first hash and never changes; `hash` follows speed-ups.
+ */
+export const createTxManager = ({ storage = browserStorage(), getProvider = getReadProvider } = {}) => {
+  const listeners = new Set();
+  const waiters = new Map();   // id -> [resolve]
+  let records = [];
+  let snapshot = [];
+  let timer = 0;
+  let provider = null;
+
+  try {
+    records = JSON.parse(storage?.getItem(STORAGE_KEY) || '[]');
+  } catch {
+    records = [];
+  }
+
+  const publish = () => {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(records.slice(0, MAX_RECORDS)));
+    const { chainId } = getActiveNetwork();
+    snapshot = records.filter(r => r.chainId === chainId);
+    listeners.forEach(fn => fn());
+  };
+
+  const update = (id, patch) => {
+    records = records.map(r => (r.id === id ? { ...r, ...patch } : r));
+    const record = records.find(r => r.id === id);
+    if (record && isSettled(record)) {
+      (waiters.get(id) || []).forEach(resolve => resolve(record));
+      waiters.delete(id);
+    }
+    publish();
+  };
+
+  // tx from the same sender+nonce that made it on chain instead of ours (never ours itself)
+  const findReplacement = async (r, head) => {
+    const from = Math.max(r.startBlock, head - REPLACEMENT_SCAN);
+    for (let n = head; n >= from; n--) {
+      const block = await provider.getBlock(n, true);
+      const tx = block?.prefetchedTransactions.find(t =>
+        t.from.toLowerCase() === r.from && t.nonce === r.nonce && t.hash !== r.hash);
+      if (tx) return tx;
+    }
+    return null;
+  };
+
+  const refresh = async (r, head) => {
+    if (r.status === 'confirmed') {
+      update(r.id, { confirmations: head - r.blockNumber + 1 });
+      return;
+    }
+
+    const receipt = await provider.getTransactionReceipt(r.hash);
+    if (receipt) {
+      update(r.id, {
+        status: receipt.status === 1 ? 'confirmed' : 'failed',
+        blockNumber: receipt.blockNumber,
+        confirmations: head - receipt.blockNumber + 1,
+      });
+      return;
+    }
+
+    // no receipt: still in the mempool unless the sender's nonce had moved past it by `head`.
+    // Nonce and replacement scan both read at `head`, so a tx of ours mined just after the
+    // receipt lookup can't look like a vanished one.
+    const nonce = await provider.getTransactionCount(r.from, head);
+    if (nonce <= r.nonce) return;
+
+    const replacement = await findReplacement(r, head);
+    if (replacement && replacement.to?.toLowerCase() === r.to && replacement.data === r.data) {
+      // sped up: same call, new hash; its receipt is picked up next round
+      update(r.id, { hash: replacement.hash, replacedHashes: [...(r.replacedHashes || []), r.hash] });
+      return;
+    }
+
+    // replaced is final, so make sure ours didn't land after all (e.g. the node's receipt lagged)
+    if (await provider.getTransactionReceipt(r.hash)) return;
+    update(r.id, { status: 'replaced', replacedBy: replacement?.hash || null });
+  };
+
+  const poll = async () => {
+    timer = 0;
+    const open = snapshot.filter(r => !isFinal(r));
+    if (!open.length) return;
+    try {
+      provider = provider || getProvider();
+      const head = await provider.getBlockNumber();
+      for (const r of open) await refresh(r, head);
+    } catch (e) {
+      console.error(e);
+      provider = null; // rebuild the provider on the next round
+    }
+    schedule();
+  };
+
+  const schedule = () => {
+    if (!timer && snapshot.some(r => !isFinal(r))) timer = setTimeout(poll, POLL_MS);
+  };
+
+  /** Records a just-sent TransactionResponse; resolves with its id. */
+  const track = async (tx, { label, meta = null } = {}) => {
+    provider = provider || getProvider();
+    const startBlock = await provider.getBlockNumber().catch(() => 0);
+    const record = {
+      id: tx.hash,
+      hash: tx.hash,
+      chainId: Number(tx.chainId) || getActiveNetwork().chainId,
+      from: tx.from.toLowerCase(),
+      nonce: tx.nonce,
+      to: tx.to?.toLowerCase() ?? null,
+      data: tx.data,
+      startBlock,
+      label: label || 'Transaction',
+      meta,
+      submittedAt: Date.now(),
+      status: 'pending',
+      confirmations: 0,
+      blockNumber: null,
+      replacedHashes: [],
+      replacedBy: null,
+    };
+    records = [record, ...records].slice(0, MAX_RECORDS);
+    publish();
+    schedule();
+    return record.id;
+  };
+
+  /** Resolves with the record once it is confirmed, failed or replaced. */
+  const waitFor = (id) => {
+    const record = records.find(r => r.id === id);
+    if (record && isSettled(record)) return Promise.resolve(record);
+    return new Promise(resolve => waiters.set(id, [...(waiters.get(id) || []), resolve]));
+  };
+
+  const clearSettled = () => {
+    records = records.filter(r => !isSettled(r));
+    publish();
+  };
+
+  /** Resumes polling for whatever was still pending when the page was closed. */
+  const start = () => {
+    publish();
+    schedule();
+  };
+
+  return {
+    track,
+    waitFor,
+    clearSettled,
+    start,
+    getSnapshot: () => snapshot,
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+};
+
+export const CONFIRMATION_TARGET = CONFIRMATIONS;
+
+// The app's single transaction log
+export const txManager = createTxManager();
+
+export default txManager;
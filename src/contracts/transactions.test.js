@@ -0,0 +1,116 @@
+import { createTxManager } from './transactions';
+import { getActiveNetwork } from './networks';
+
+const FROM = '0x00000000000000000000000000000000000000a1';
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const CALL = '0xdeadbeef';
+
+// In-memory chain: blocks hold mined txs; the sender's nonce at a block counts its txs up to it
+function fakeChain(head = 10) {
+  const chain = {
+    head,
+    mined: [],   // { hash, from, nonce, to, data, block, status }
+    mine(tx, block = chain.head) {
+      chain.mined.push({ status: 1, ...tx, block });
+    },
+  };
+  const minedBy = (tag) => chain.mined.filter(t => t.block <= (tag === 'latest' ? chain.head : tag));
+  chain.provider = {
+    getBlockNumber: async () => chain.head,
+    getTransactionReceipt: async (hash) => {
+      const tx = chain.mined.find(t => t.hash === hash);
+      return tx ? { status: tx.status, blockNumber: tx.block } : null;
+    },
+    getTransactionCount: async (from, tag) => minedBy(tag).filter(t => t.from === from).length,
+    getBlock: async (n) => ({ prefetchedTransactions: chain.mined.filter(t => t.block === n) }),
+  };
+  return chain;
+}
+
+const memoryStorage = () => {
+  const items = new Map();
+  return { getItem: (k) => items.get(k) ?? null, setItem: (k, v) => items.set(k, v) };
+};
+
+const sent = (hash, nonce = 0) => ({ hash, from: FROM, nonce, to: CONTRACT, data: CALL, chainId: getActiveNetwork().chainId });
+
+// Runs one poll round (POLL_MS) to completion under fake timers
+const pollRound = async () => {
+  jest.advanceTimersByTime(4000);
+  for (let i = 0; i < 200; i++) await Promise.resolve();
+};
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('a tx mined right after its receipt lookup is not mistaken for a replaced one', async () => {
+  const chain = fakeChain(10);
+  const getReceipt = chain.provider.getTransactionReceipt;
+  let lookups = 0;
+  // the first lookup misses; the tx lands in head + 1 before the nonce is read
+  chain.provider.getTransactionReceipt = async (hash) => {
+    const receipt = await getReceipt(hash);
+    if (++lookups === 1) {
+      chain.head = 11;
+      chain.mine(sent('0x01'), 11);
+    }
+    return receipt;
+  };
+  const manager = createTxManager({ storage: memoryStorage(), getProvider: () => chain.provider });
+
+  const id = await manager.track(sent('0x01'), { label: 'Claim' });
+  await pollRound();
+  expect(manager.getSnapshot()[0]).toMatchObject({ status: 'pending', hash: '0x01', replacedHashes: [] });
+
+  await pollRound();
+  await expect(manager.waitFor(id)).resolves.toMatchObject({ status: 'confirmed', blockNumber: 11 });
+});
+
+test('a pending tx confirms, and is resumed from storage after a reload', async () => {
+  const chain = fakeChain(10);
+  const storage = memoryStorage();
+  const manager = createTxManager({ storage, getProvider: () => chain.provider });
+  const id = await manager.track(sent('0x01'), { label: 'Claim', meta: { kind: 'occupy' } });
+
+  await pollRound();
+  expect(manager.getSnapshot()[0].status).toBe('pending');
+
+  // page reloaded before the tx was mined
+  const reloaded = createTxManager({ storage, getProvider: () => chain.provider });
+  reloaded.start();
+  expect(reloaded.getSnapshot()[0]).toMatchObject({ id, status: 'pending', meta: { kind: 'occupy' } });
+
+  chain.head = 12;
+  chain.mine(sent('0x01'), 12);
+  await pollRound();
+  await expect(reloaded.waitFor(id)).resolves.toMatchObject({ status: 'confirmed', confirmations: 1 });
+
+  chain.head = 14;
+  await pollRound();
+  expect(reloaded.getSnapshot()[0].confirmations).toBe(3);
+});
+
+test('a speed-up (same call, new hash) is followed to its receipt', async () => {
+  const chain = fakeChain(10);
+  const manager = createTxManager({ storage: memoryStorage(), getProvider: () => chain.provider });
+  const id = await manager.track(sent('0x01'));
+
+  chain.head = 11;
+  chain.mine(sent('0x02'), 11);
+  await pollRound();
+  expect(manager.getSnapshot()[0]).toMatchObject({ id, hash: '0x02', replacedHashes: ['0x01'], status: 'pending' });
+
+  await pollRound();
+  await expect(manager.waitFor(id)).resolves.toMatchObject({ status: 'confirmed', hash: '0x02' });
+});
+
+test('a cancel (same nonce, different call) settles as replaced', async () => {
+  const chain = fakeChain(10);
+  const manager = createTxManager({ storage: memoryStorage(), getProvider: () => chain.provider });
+  const id = await manager.track(sent('0x01'));
+
+  chain.head = 11;
+  chain.mine({ ...sent('0x03'), to: FROM, data: '0x' }, 11);
+  await pollRound();
+  await expect(manager.waitFor(id)).resolves.toMatchObject({ status: 'replaced', replacedBy: '0x03' });
+});
@@ -0,0 +1,47 @@
+import { toQuantity } from 'ethers';
+import { getActiveNetwork } from './networks';
+import { getWalletProvider } from '../wallet/walletManager';
+
+// EIP-1193 error code for "chain not added to the wallet"
+const UNRECOGNIZED_CHAIN = 4902;
+
+export const isActiveChain = (chainId, network = getActiveNetwork()) => Number(chainId) === network.chainId;
+
+/** Asks the wallet to switch to the configured network, adding it first if the wallet does not know it. */
+export const switchToActiveNetwork = async (ethereum = getWalletProvider(), network = getActiveNetwork()) => {
+  if (!ethereum) throw new Error('No wallet connected');
+  const chainId = toQuantity(network.chainId);
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  } catch (e) {
+    const code = e?.code ?? e?.data?.originalError?.code;
+    if (code !== UNRECOGNIZED_CHAIN) throw e;
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId,
+        chainName: network.name,
+        rpcUrls: network.rpcUrls,
+        nativeCurrency: network.nativeCurrency,
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined,
+      }],
+    });
+  }
+};
+
+/**
+ * Throws unless the wallet is on the configured chain and the contract exists there.
+ * `provider` is an ethers BrowserProvider wrapping the wallet.
+ */
+export const assertWalletNetwork = async (provider, network = getActiveNetwork()) => {
+  const { chainId } = await provider.getNetwork();
+  if (!isActiveChain(chainId, network)) {
+    throw new Error(`Wallet is on chain ${chainId}; switch to ${network.name} (${network.chainId})`);
+  }
+  const code = await provider.getCode(network.contractMain);
+  if (code === '0x') {
+    throw new Error(`No contract at ${network.contractMain} on ${network.name}`);
+  }
+};
+
+export default switchToActiveNetwork;
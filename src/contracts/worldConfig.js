@@ -0,0 +1,62 @@
+import { getContractMain, withTimeout, STARTUP_READ_TIMEOUT_MS } from './contractMain';
+import { getActiveNetwork } from './networks';
+
+// Used until the contract has answered, and kept if it never does
+export const DEFAULT_WORLD_CONFIG = {
+  gridSize: 100,
+  totalCells: 10000,
+  occupyFeeWei: null,
+  source: 'default',
+  issues: [],
+};
+
+// occupyAt / getCell take uint8 coordinates
+const MAX_ADDRESSABLE = 256;
+
+let config = DEFAULT_WORLD_CONFIG;
+
+/**
+ * Problems worth showing to the user: internal inconsistencies in what the contract reports,
+ * and disagreement with a `gridSize` the network entry declares (config.json / registry).
+ */
+export const checkWorldConfig = ({ gridSize, totalCells }, network = getActiveNetwork()) => {
+  const issues = [];
+  if (totalCells !== gridSize * gridSize) {
+    issues.push(`TOTAL_CELLS() is ${totalCells}, but GRID_SIZE() ${gridSize} implies ${gridSize * gridSize}.`);
+  }
+  if (gridSize > MAX_ADDRESSABLE) {
+    issues.push(`GRID_SIZE() ${gridSize} exceeds the ${MAX_ADDRESSABLE} cells per axis that uint8 coordinates can reach.`);
+  }
+  if (network.gridSize && Number(network.gridSize) !== gridSize) {
+    issues.push(`${network.name} is configured for a ${network.gridSize}×${network.gridSize} grid, but the contract reports ${gridSize}×${gridSize}.`);
+  }
+  return issues;
+};
+
+/**
+ * Reads GRID_SIZE(), TOTAL_CELLS() and occupyFeeWei() once at startup into the shared config.
+ * Call after loadRuntimeConfig(); if the contract can't be read within `timeoutMs` the
+ * defaults stay, flagged.
+ */
+export const loadWorldConfig = async (contract = getContractMain(), { timeoutMs = STARTUP_READ_TIMEOUT_MS } = {}) => {
+  try {
+    const [gridSize, totalCells, occupyFeeWei] = await withTimeout(Promise.all([
+      contract.GRID_SIZE(),
+      contract.TOTAL_CELLS(),
+      contract.occupyFeeWei(),
+    ]), timeoutMs, 'Reading the grid parameters');
+    const read = { gridSize: Number(gridSize), totalCells: Number(totalCells), occupyFeeWei };
+    config = { ...read, source: 'contract', issues: checkWorldConfig(read) };
+  } catch (e) {
+    console.error(e);
+    config = {
+      ...DEFAULT_WORLD_CONFIG,
+      issues: [`Could not read the grid parameters from the contract; assuming ${DEFAULT_WORLD_CONFIG.gridSize}×${DEFAULT_WORLD_CONFIG.gridSize}.`],
+    };
+  }
+  return config;
+};
+
+export const getWorldConfig = () => config;
+
+export default getWorldConfig;
@@ -0,0 +1,34 @@
+import { checkWorldConfig, loadWorldConfig, getWorldConfig } from './worldConfig';
+
+const network = { name: 'Localhost' };
+
+test('a consistent contract has no issues', () => {
+  expect(checkWorldConfig({ gridSize: 64, totalCells: 4096 }, network)).toEqual([]);
+});
+
+test('flags inconsistent totals, unaddressable grids and a declared size mismatch', () => {
+  expect(checkWorldConfig({ gridSize: 64, totalCells: 4000 }, network)).toHaveLength(1);
+  expect(checkWorldConfig({ gridSize: 300, totalCells: 90000 }, network)).toHaveLength(1);
+  expect(checkWorldConfig({ gridSize: 64, totalCells: 4096 }, { ...network, gridSize: 100 })[0])
+    .toMatch(/configured for a 100×100 grid, but the contract reports 64×64/);
+});
+
+test('loads parameters from the contract, or keeps flagged defaults', async () => {
+  const contract = { GRID_SIZE: async () => 50n, TOTAL_CELLS: async () => 2500n, occupyFeeWei: async () => 10n };
+  await loadWorldConfig(contract);
+  expect(getWorldConfig()).toMatchObject({ gridSize: 50, totalCells: 2500, occupyFeeWei: 10n, source: 'contract' });
+
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await loadWorldConfig({ ...contract, GRID_SIZE: async () => { throw new Error('rpc down'); } });
+  expect(getWorldConfig()).toMatchObject({ gridSize: 100, source: 'default' });
+  expect(getWorldConfig().issues).toHaveLength(1);
+  console.error.mockRestore();
+});
+
+test('falls back to defaults when the contract never answers', async () => {
+  const hung = () => new Promise(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await loadWorldConfig({ GRID_SIZE: hung, TOTAL_CELLS: hung, occupyFeeWei: hung }, { timeoutMs: 10 });
+  expect(getWorldConfig()).toMatchObject({ gridSize: 100, source: 'default' });
+  console.error.mockRestore();
+});
@@ -0,0 +1,148 @@
+import { ZeroAddress } from 'ethers';
+import { getContractMain } from './contractMain';
+import { watchCellOccupied, POLL_MS, MAX_BACKOFF_MS } from './cellEvents';
+
+// Same packing as the contract's _pack/_unpack: idx = x * GRID_SIZE + y
+export const cellIndex = (x, y, gridSize = 100) => x * gridSize + y;
+export const cellCoords = (idx, gridSize = 100) => ({ x: Math.floor(idx / gridSize), y: idx % gridSize });
+
+/** Cells held by `owner` (lowercased address) in a snapshot's cell map, in index order. */
+export const cellsOwnedBy = (cells, owner, gridSize = 100) => {
+  const list = [];
+  for (const [idx, cell] of cells) {
+    if (cell.owner === owner) list.push({ ...cellCoords(idx, gridSize), ...cell, idx });
+  }
+  return list.sort((a, b) => a.idx - b.idx);
+};
+
+// Concurrent calls per round; JsonRpcProvider folds them into one JSON-RPC batch
+const BATCH_SIZE = 100;
+
+/**
+ * In-memory index of the grid's occupancy, kept fresh through CellOccupied.
+ * Framework-agnostic: subscribe()/getSnapshot() plug into useSyncExternalStore,
+ * but the store works the same from a plain script or a test.
+ *
+ * Snapshot: { cells: Map<idx, {owner, resourceId}>, occupied, loaded, status, block }
+ */
+export const createWorldState = ({
+  contract = getContractMain(),
+  gridSize = 100,
+  batchSize = BATCH_SIZE,
+  watch = watchCellOccupied,
+} = {}) => {
+  let snapshot = { cells: new Map(), occupied: 0, loaded: false, status: null, block: null };
+  const listeners = new Set();
+  let stopWatch = null;
+  let retryTimer = 0;
+  let backoff = POLL_MS;
+  let running = false;
+  let generation = 0;   // bumps on stop so an in-flight load() can't publish stale data
+
+  const publish = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach(fn => fn());
+  };
+
+  const putCell = (x, y, cell) => {
+    const cells = new Map(snapshot.cells);
+    const idx = cellIndex(x, y, gridSize);
+    if (cell) cells.set(idx, cell);
+    else cells.delete(idx);
+    publish({ cells, occupied: cells.size });
+  };
+
+  /** Reads the whole grid at one block: owners first, then resources for occupied cells only. */
+  const load = async () => {
+    const gen = generation;
+    const provider = contract.runner;
+    const block = await provider.getBlockNumber();
+    const overrides = { blockTag: block };
+    const expected = Number(await contract.occupiedCount(overrides));
+    const total = gridSize * gridSize;
+
+    const owned = [];
+    for (let start = 0; start < total && owned.length < expected; start += batchSize) {
+      const ids = [];
+      for (let i = start; i < Math.min(start + batchSize, total); i++) ids.push(i);
+      const owners = await Promise.all(ids.map(i => contract.ownerOfCell(i, overrides)));
+      owners.forEach((owner, k) => {
+        if (owner !== ZeroAddress) owned.push({ idx: ids[k], owner: owner.toLowerCase() });
+      });
+      if (gen !== generation) return null;
+    }
+
+    const cells = new Map();
+    for (let start = 0; start < owned.length; start += batchSize) {
+      const chunk = owned.slice(start, start + batchSize);
+      const resources = await Promise.all(chunk.map(({ idx }) => contract.resourceOfCell(idx, overrides)));
+      chunk.forEach(({ idx, owner }, k) => cells.set(idx, { owner, resourceId: Number(resources[k]) }));
+      if (gen !== generation) return null;
+    }
+
+    publish({ cells, occupied: cells.size, loaded: true, block });
+    return block;
+  };
+
+  // One snapshot attempt; on failure retries with the same backoff as the event feed
+  const attempt = async (gen) => {
+    try {
+      const block = await load();
+      if (block === null || gen !== generation) return;
+      backoff = POLL_MS;
+      stopWatch = watch({
+        fromBlock: block + 1,
+        onCell: (ev) => putCell(ev.x, ev.y, { owner: ev.owner, resourceId: ev.resourceId }),
+        // on failure the cell keeps its last value until the feed re-scans the forked blocks
+        onRemoved: (ev) => refreshCell(ev.x, ev.y).catch(console.error),
+        onStatus: (status) => publish({ status }),
+      });
+    } catch (e) {
+      if (gen !== generation) return;
+      console.error(e);
+      publish({ status: 'reconnecting' });
+      retryTimer = setTimeout(() => attempt(gen), backoff);
+      backoff = Math.min(backoff * 2, MAX_BACKOFF_MS);
+    }
+  };
+
+  /** Loads a snapshot, then follows events from the block after it. Keeps retrying until stopped. */
+  const start = async () => {
+    if (running) return;
+    running = true;
+    backoff = POLL_MS;
+    publish({ status: 'loading' });
+    await attempt(generation);
+  };
+
+  const stop = () => {
+    generation++;
+    running = false;
+    clearTimeout(retryTimer);
+    stopWatch?.();
+    stopWatch = null;
+  };
+
+  /** Re-reads one cell from chain, e.g. after our own claim or a reorg. */
+  const refreshCell = async (x, y) => {
+    const [exists, owner, resourceId] = await contract.getCell(x, y);
+    putCell(x, y, exists ? { owner: owner.toLowerCase(), resourceId: Number(resourceId) } : null);
+  };
+
+  return {
+    gridSize,
+    load,
+    start,
+    stop,
+    refreshCell,
+    getSnapshot: () => snapshot,
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    getCell: (x, y) => snapshot.cells.get(cellIndex(x, y, gridSize)) || null,
+    isOccupied: (x, y) => snapshot.cells.has(cellIndex(x, y, gridSize)),
+  };
+};
+
+export default createWorldState;
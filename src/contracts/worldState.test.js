@@ -0,0 +1,108 @@
+import { ZeroAddress } from 'ethers';
+import { createWorldState, cellIndex, cellCoords } from './worldState';
+
+const ALICE = '0x00000000000000000000000000000000000000A1';
+const BOB = '0x00000000000000000000000000000000000000B2';
+
+// Minimal stand-in for the main contract: a 4x4 grid with two claims
+function fakeContract(gridSize, claims) {
+  const owners = new Map(claims.map(([x, y, owner, res]) => [cellIndex(x, y, gridSize), { owner, res }]));
+  const calls = { ownerOfCell: 0 };
+  return {
+    calls,
+    runner: { getBlockNumber: async () => 42 },
+    occupiedCount: async () => owners.size,
+    ownerOfCell: async (i) => { calls.ownerOfCell++; return owners.get(i)?.owner ?? ZeroAddress; },
+    resourceOfCell: async (i) => owners.get(i)?.res ?? 0,
+    getCell: async (x, y) => {
+      const c = owners.get(cellIndex(x, y, gridSize));
+      return c ? [true, c.owner, c.res] : [false, ZeroAddress, 0];
+    },
+  };
+}
+
+test('cell index matches the contract packing', () => {
+  expect(cellIndex(3, 7)).toBe(307);
+  expect(cellCoords(307)).toEqual({ x: 3, y: 7 });
+});
+
+test('loads occupancy and stops scanning once occupiedCount is reached', async () => {
+  const contract = fakeContract(4, [[0, 1, ALICE, 2], [1, 0, BOB, 5]]);
+  const world = createWorldState({ contract, gridSize: 4, batchSize: 2 });
+
+  await expect(world.load()).resolves.toBe(42);
+  expect(world.getCell(0, 1)).toEqual({ owner: ALICE.toLowerCase(), resourceId: 2 });
+  expect(world.getCell(1, 0)).toEqual({ owner: BOB.toLowerCase(), resourceId: 5 });
+  expect(world.isOccupied(2, 2)).toBe(false);
+  expect(world.getSnapshot().occupied).toBe(2);
+  expect(contract.calls.ownerOfCell).toBe(6);
+});
+
+test('follows events from the block after the snapshot', async () => {
+  const contract = fakeContract(4, []);
+  let feed;
+  const watch = jest.fn((opts) => { feed = opts; return () => {}; });
+  const world = createWorldState({ contract, gridSize: 4, watch });
+  const listener = jest.fn();
+  world.subscribe(listener);
+
+  await world.start();
+  expect(watch.mock.calls[0][0].fromBlock).toBe(43);
+
+  feed.onCell({ x: 3, y: 3, owner: ALICE.toLowerCase(), resourceId: 7 });
+  expect(world.getCell(3, 3)).toEqual({ owner: ALICE.toLowerCase(), resourceId: 7 });
+  expect(listener).toHaveBeenCalled();
+
+  feed.onStatus('live');
+  expect(world.getSnapshot().status).toBe('live');
+});
+
+test('a failed re-read after a reorg is logged, not left unhandled', async () => {
+  const contract = fakeContract(4, [[1, 1, ALICE, 3]]);
+  let feed;
+  const world = createWorldState({ contract, gridSize: 4, watch: (opts) => { feed = opts; return () => {}; } });
+  await world.start();
+
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  contract.getCell = async () => { throw new Error('rpc down'); };
+  feed.onRemoved({ x: 1, y: 1 });
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  expect(error).toHaveBeenCalled();
+  expect(world.getCell(1, 1)).toEqual({ owner: ALICE.toLowerCase(), resourceId: 3 });
+  error.mockRestore();
+});
+
+// Lets a retried load() run to completion under fake timers
+const settle = async () => {
+  for (let i = 0; i < 50; i++) await Promise.resolve();
+};
+
+test('retries the initial load with backoff until it succeeds', async () => {
+  jest.useFakeTimers();
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const contract = fakeContract(4, [[2, 2, BOB, 1]]);
+  const getBlockNumber = contract.runner.getBlockNumber;
+  let failures = 2;
+  contract.runner.getBlockNumber = async () => {
+    if (failures-- > 0) throw new Error('rpc down');
+    return getBlockNumber();
+  };
+  const watch = jest.fn(() => () => {});
+  const world = createWorldState({ contract, gridSize: 4, watch });
+
+  await world.start();
+  expect(world.getSnapshot().status).toBe('reconnecting');
+  jest.advanceTimersByTime(4000);
+  await settle();
+  expect(world.getSnapshot().loaded).toBe(false);
+  jest.advanceTimersByTime(8000);
+  await settle();
+  expect(world.getSnapshot().loaded).toBe(true);
+  expect(world.getCell(2, 2)).toEqual({ owner: BOB.toLowerCase(), resourceId: 1 });
+  expect(watch).toHaveBeenCalledTimes(1);
+
+  world.stop();
+  error.mockRestore();
+  jest.useRealTimers();
+});
@@ -0,0 +1,11 @@
+import { useEffect, useSyncExternalStore } from "react";
+
+/** Runs a claim-history store while the component is mounted and re-renders on new claims. */
+export default function useClaimHistory(history) {
+  useEffect(() => {
+    history.start();
+    return () => history.stop();
+  }, [history]);
+
+  return useSyncExternalStore(history.subscribe, history.getSnapshot);
+}
@@ -0,0 +1,11 @@
+import { useEffect, useSyncExternalStore } from "react";
+import { txManager } from "../contracts/transactions";
+
+/** Tracked transactions on the active network, newest first. */
+export default function useTransactions(manager = txManager) {
+  useEffect(() => {
+    manager.start();
+  }, [manager]);
+
+  return useSyncExternalStore(manager.subscribe, manager.getSnapshot);
+}
@@ -0,0 +1,11 @@
+import { useEffect, useSyncExternalStore } from "react";
+import { walletManager } from "../wallet/walletManager";
+
+/** Current wallet session; starts wallet discovery on first use. */
+export default function useWallet(manager = walletManager) {
+  useEffect(() => {
+    manager.start();
+  }, [manager]);
+
+  return useSyncExternalStore(manager.subscribe, manager.getSnapshot);
+}
@@ -0,0 +1,11 @@
+import { useEffect, useSyncExternalStore } from "react";
+
+/** Starts a world-state store for the component's lifetime and re-renders on its changes. */
+export default function useWorldState(world) {
+  useEffect(() => {
+    world.start();
+    return () => world.stop();
+  }, [world]);
+
+  return useSyncExternalStore(world.subscribe, world.getSnapshot);
+}
@@ -2,14 +2,26 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { loadRuntimeConfig } from './contracts/networks';
+import { loadWorldConfig } from './contracts/worldConfig';
+import { loadResourceDefs } from './contracts/resourceDefs';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// public/config.json may pick another network; providers must not be built before it is read.
+// The grid's dimensions and resource list then come from that network's contracts; both loaders
+// give up after a few seconds and fall back to bundled defaults, so a hung RPC can't hold the page.
+loadRuntimeConfig()
+  .catch(e => console.error(e))
+  .then(() => Promise.all([loadWorldConfig(), loadResourceDefs()]))
+  .finally(() => {
+    root.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  });
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
@@ -0,0 +1,4 @@
+/** 0x1234…abcd */
+export function shortAddr(addr) {
+  return addr ? `${addr.slice(0, 6)}…${addr.slice(-4)}` : "";
+}
@@ -0,0 +1,45 @@
+/** ---------- Aggregates over the indexed world for the stats panel ---------- */
+
+/** Occupied cells per resource, in catalogue order: [{ resource, count }]. */
+export function claimsByResource(cells, resources) {
+  const counts = new Map();
+  for (const { resourceId } of cells.values()) counts.set(resourceId, (counts.get(resourceId) || 0) + 1);
+  return resources.map(resource => ({ resource, count: counts.get(resource.id) || 0 }));
+}
+
+/** The `limit` largest holders by cell count: [{ owner, count }], ties broken by address. */
+export function topOwners(cells, limit = 10) {
+  const counts = new Map();
+  for (const { owner } of cells.values()) counts.set(owner, (counts.get(owner) || 0) + 1);
+  return [...counts]
+    .map(([owner, count]) => ({ owner, count }))
+    .sort((a, b) => b.count - a.count || (a.owner < b.owner ? -1 : 1))
+    .slice(0, limit);
+}
+
+/**
+ * Claims bucketed by block over [fromBlock, toBlock]:
+ * [{ from, to, count, total }] where total is the running count up to the bucket's end.
+ * Blocks stand in for time; callers label the ends with block timestamps.
+ */
+export function claimTimeline(events, { fromBlock, toBlock, buckets = 24 }) {
+  const span = Math.max(1, toBlock - fromBlock + 1);
+  const n = Math.min(buckets, span);
+  const width = span / n;
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    out.push({
+      from: fromBlock + Math.ceil(i * width),
+      to: fromBlock + Math.ceil((i + 1) * width) - 1,
+      count: 0,
+      total: 0,
+    });
+  }
+  for (const ev of events) {
+    const i = Math.floor((ev.blockNumber - fromBlock) / width);
+    if (i >= 0 && i < n) out[i].count++;
+  }
+  let total = 0;
+  for (const b of out) b.total = total += b.count;
+  return out;
+}
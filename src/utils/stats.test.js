@@ -0,0 +1,32 @@
+import { claimsByResource, claimTimeline, topOwners } from "./stats";
+
+const cells = new Map([
+  [0, { owner: "0xa", resourceId: 1 }],
+  [1, { owner: "0xb", resourceId: 1 }],
+  [2, { owner: "0xb", resourceId: 0 }],
+  [3, { owner: "0xc", resourceId: 9 }],
+]);
+const resources = [{ id: 0 }, { id: 1 }, { id: 2 }];
+
+test("counts claims per resource in catalogue order", () => {
+  expect(claimsByResource(cells, resources).map(r => r.count)).toEqual([1, 2, 0]);
+});
+
+test("ranks owners by cell count", () => {
+  expect(topOwners(cells)).toEqual([
+    { owner: "0xb", count: 2 },
+    { owner: "0xa", count: 1 },
+    { owner: "0xc", count: 1 },
+  ]);
+  expect(topOwners(cells, 1)).toHaveLength(1);
+});
+
+test("buckets claims by block with a running total", () => {
+  const events = [100, 101, 105, 119].map(blockNumber => ({ blockNumber }));
+  const timeline = claimTimeline(events, { fromBlock: 100, toBlock: 119, buckets: 4 });
+  expect(timeline.map(b => [b.from, b.to])).toEqual([[100, 104], [105, 109], [110, 114], [115, 119]]);
+  expect(timeline.map(b => b.count)).toEqual([2, 1, 0, 1]);
+  expect(timeline.map(b => b.total)).toEqual([2, 3, 3, 4]);
+  // never more buckets than blocks
+  expect(claimTimeline(events.slice(0, 1), { fromBlock: 100, toBlock: 100 })).toHaveLength(1);
+});
@@ -0,0 +1,46 @@
+/**
+ * Shareable view state in the query string:
+ *   ?seed=1234     background seed
+ *   &cell=42,17    selected cell
+ *   &at=41.5,17.2  camera centre in (fractional) cell coordinates
+ *   &z=1.5         zoom
+ * Anything missing or malformed reads as null so the app falls back to its defaults.
+ */
+
+const PAIR = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/;
+
+function readPair(value) {
+  const m = PAIR.exec(value || "");
+  return m ? { x: Number(m[1]), y: Number(m[2]) } : null;
+}
+
+// camera positions only need to survive a round trip to the same tile fraction
+const fmt = (n) => String(Math.round(n * 100) / 100);
+
+export function readUrlState(search = window.location.search, gridSize = 100) {
+  const params = new URLSearchParams(search);
+
+  const seed = Number(params.get("seed"));
+  const cell = readPair(params.get("cell"));
+  const at = readPair(params.get("at"));
+  const zoom = Number(params.get("z"));
+  const onGrid = (p) => p && p.x >= 0 && p.y >= 0 && p.x < gridSize && p.y < gridSize;
+
+  return {
+    seed: params.has("seed") && Number.isSafeInteger(seed) && seed >= 0 ? seed : null,
+    cell: onGrid(cell) && Number.isInteger(cell.x) && Number.isInteger(cell.y) ? cell : null,
+    at: onGrid(at) ? at : null,
+    zoom: zoom > 0 && Number.isFinite(zoom) ? zoom : null,
+  };
+}
+
+/** `href` with the view params replaced by `state`; null/undefined fields are dropped. */
+export function urlFor({ seed, cell, at, zoom }, href = window.location.href) {
+  const url = new URL(href);
+  const set = (key, value) => (value == null ? url.searchParams.delete(key) : url.searchParams.set(key, value));
+  set("seed", seed == null ? null : String(seed));
+  set("cell", cell ? `${cell.x},${cell.y}` : null);
+  set("at", at ? `${fmt(at.x)},${fmt(at.y)}` : null);
+  set("z", zoom == null ? null : fmt(zoom));
+  return url.toString();
+}
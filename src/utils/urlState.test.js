@@ -0,0 +1,15 @@
+import { readUrlState, urlFor } from "./urlState";
+
+test("round-trips seed, selection, camera and zoom", () => {
+  const href = urlFor({ seed: 42, cell: { x: 42, y: 17 }, at: { x: 41.499999, y: 17.2 }, zoom: 1.5 }, "https://x.test/app?foo=1");
+  expect(href).toBe("https://x.test/app?foo=1&seed=42&cell=42%2C17&at=41.5%2C17.2&z=1.5");
+  expect(readUrlState(new URL(href).search)).toEqual({
+    seed: 42, cell: { x: 42, y: 17 }, at: { x: 41.5, y: 17.2 }, zoom: 1.5,
+  });
+});
+
+test("ignores malformed or off-grid values", () => {
+  expect(readUrlState("?cell=42,17")).toMatchObject({ seed: null, cell: { x: 42, y: 17 }, at: null, zoom: null });
+  expect(readUrlState("?seed=abc&cell=100,3&at=1;2&z=-1")).toEqual({ seed: null, cell: null, at: null, zoom: null });
+  expect(readUrlState("?cell=4.5,3").cell).toBeNull();
+});
@@ -0,0 +1,36 @@
+/**
+ * Connector interface: anything that can hand out an EIP-1193 provider.
+ *
+ *   id          stable key, persisted as the last-used wallet
+ *   name, icon  shown in the wallet picker (icon is a data/https URI or null)
+ *   provider    EIP-1193 provider (request / on / removeListener)
+ *   connect()       prompts the user, resolves to accounts
+ *   getAccounts()   already-authorized accounts, never prompts
+ *   getChainId()    current chainId as a number
+ *   disconnect()    best-effort revoke; wallets that can't just get forgotten locally
+ */
+export const createInjectedConnector = ({ info, provider }) => ({
+  id: info.rdns || info.uuid,
+  name: info.name,
+  icon: info.icon || null,
+  provider,
+  connect: () => provider.request({ method: 'eth_requestAccounts' }),
+  getAccounts: () => provider.request({ method: 'eth_accounts' }),
+  getChainId: async () => Number(await provider.request({ method: 'eth_chainId' })),
+  disconnect: async () => {
+    try {
+      // EIP-2255; not every wallet implements it
+      await provider.request({ method: 'wallet_revokePermissions', params: [{ eth_accounts: {} }] });
+    } catch {
+      // forgetting it locally is enough
+    }
+  },
+});
+
+// Pre-EIP-6963 fallback: the single provider at window.ethereum
+export const createLegacyInjectedConnector = (ethereum) => createInjectedConnector({
+  info: { uuid: 'injected', rdns: 'injected', name: ethereum.isMetaMask ? 'MetaMask' : 'Browser wallet', icon: null },
+  provider: ethereum,
+});
+
+export default createInjectedConnector;
@@ -0,0 +1,26 @@
+import { createInjectedConnector } from './connectors';
+
+/**
+ * EIP-6963 multi-injected-provider discovery. Every wallet extension answers
+ * `eip6963:requestProvider` with its own `eip6963:announceProvider` event, so
+ * several wallets can coexist instead of fighting over window.ethereum.
+ *
+ * Calls onConnector once per announced wallet; returns an unsubscribe function.
+ */
+export const discoverInjectedWallets = (onConnector) => {
+  if (typeof window === 'undefined') return () => {};
+
+  const seen = new Set();
+  const onAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info || !provider || seen.has(info.uuid)) return;
+    seen.add(info.uuid);
+    onConnector(createInjectedConnector({ info, provider }));
+  };
+
+  window.addEventListener('eip6963:announceProvider', onAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  return () => window.removeEventListener('eip6963:announceProvider', onAnnounce);
+};
+
+export default discoverInjectedWallets;
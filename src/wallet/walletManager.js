@@ -0,0 +1,124 @@
+import { discoverInjectedWallets } from './eip6963';
+import { createLegacyInjectedConnector } from './connectors';
+
+const STORAGE_KEY = 'perseus.wallet.last';
+
+const browserStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null; // storage blocked (privacy mode)
+  }
+};
+
+/**
+ * Keeps the list of available wallets and the one the user connected.
+ * Snapshot: { connectors, connectorId, account, chainId, status: 'idle' | 'connecting' | 'connected' }
+ */
+export const createWalletManager = ({ storage = browserStorage(), discover = discoverInjectedWallets } = {}) => {
+  const connectors = new Map();
+  const listeners = new Set();
+  let snapshot = { connectors: [], connectorId: null, account: null, chainId: null, status: 'idle' };
+  let active = null;
+  let unbind = null;
+  let started = false;
+
+  const publish = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach(fn => fn());
+  };
+
+  const lastUsed = () => storage?.getItem(STORAGE_KEY) || null;
+
+  const bind = (connector) => {
+    const { provider } = connector;
+    const onAccounts = (accounts) => publish({
+      account: accounts?.[0]?.toLowerCase() ?? null,
+      status: accounts?.length ? 'connected' : 'idle',
+    });
+    const onChain = (chainId) => publish({ chainId: Number(chainId) });
+    provider.on?.('accountsChanged', onAccounts);
+    provider.on?.('chainChanged', onChain);
+    return () => {
+      provider.removeListener?.('accountsChanged', onAccounts);
+      provider.removeListener?.('chainChanged', onChain);
+    };
+  };
+
+  const activate = async (connector, { prompt }) => {
+    const accounts = prompt ? await connector.connect() : await connector.getAccounts();
+    if (!accounts?.length) return false;
+    const chainId = await connector.getChainId();
+
+    unbind?.();
+    active = connector;
+    unbind = bind(connector);
+    storage?.setItem(STORAGE_KEY, connector.id);
+    publish({ connectorId: connector.id, account: accounts[0].toLowerCase(), chainId, status: 'connected' });
+    return true;
+  };
+
+  /** Adds a wallet to the picker; reconnects silently if it was the last one used. */
+  const register = (connector) => {
+    if (connectors.has(connector.id)) return;
+    connectors.set(connector.id, connector);
+    publish({ connectors: [...connectors.values()] });
+    if (!active && connector.id === lastUsed()) {
+      activate(connector, { prompt: false }).catch(console.error);
+    }
+  };
+
+  const start = () => {
+    if (started) return;
+    started = true;
+    discover(register);
+    // wallets that predate EIP-6963 only show up as window.ethereum
+    const ethereum = typeof window !== 'undefined' ? window.ethereum : undefined;
+    if (ethereum && ![...connectors.values()].some(c => c.provider === ethereum)) {
+      register(createLegacyInjectedConnector(ethereum));
+    }
+  };
+
+  const connect = async (id) => {
+    const connector = connectors.get(id);
+    if (!connector) throw new Error(`Unknown wallet: ${id}`);
+    publish({ status: 'connecting' });
+    try {
+      if (!(await activate(connector, { prompt: true }))) publish({ status: 'idle' });
+    } catch (e) {
+      publish({ status: active ? 'connected' : 'idle' });
+      throw e;
+    }
+  };
+
+  const disconnect = async () => {
+    const connector = active;
+    unbind?.();
+    unbind = null;
+    active = null;
+    storage?.removeItem(STORAGE_KEY);
+    publish({ connectorId: null, account: null, chainId: null, status: 'idle' });
+    await connector?.disconnect();
+  };
+
+  return {
+    start,
+    register,
+    connect,
+    disconnect,
+    getProvider: () => active?.provider ?? null,
+    getSnapshot: () => snapshot,
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+};
+
+// The app's single wallet session
+export const walletManager = createWalletManager();
+
+/** EIP-1193 provider of the connected wallet, or null. */
+export const getWalletProvider = () => walletManager.getProvider();
+
+export default walletManager;
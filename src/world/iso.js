@@ -0,0 +1,91 @@
+/** ---------- Isometric grid geometry (world units = SVG user units) ---------- */
+export const TILE_W = 96;                    // tile width
+export const TILE_H = 48;                    // tile height (isometric diamond)
+
+// Centre of tile (row, col); row is the contract's x, col its y
+export function isoPos(row, col) {
+  const x = (col - row) * (TILE_W / 2);
+  const y = (col + row) * (TILE_H / 2);
+  return { x, y };
+}
+
+// Exact inverse of isoPos: fractional (row, col) of a world point
+export function isoUnproject(x, y) {
+  const u = x / (TILE_W / 2);   // col - row
+  const v = y / (TILE_H / 2);   // col + row
+  return { r: (v - u) / 2, c: (u + v) / 2 };
+}
+
+/**
+ * The tile (row, col) whose diamond contains world point (x, y), or null off-grid.
+ * In (row, col) space a tile diamond is the unit square around its centre, so rounding each
+ * axis on its own picks the right tile, edges included.
+ */
+export function isoCell(x, y, gridSize) {
+  const p = isoUnproject(x, y);
+  const r = Math.round(p.r);
+  const c = Math.round(p.c);
+  if (r < 0 || c < 0 || r >= gridSize || c >= gridSize) return null;
+  return { r, c };
+}
+
+/**
+ * Client px -> world units for an svg/canvas box drawn with preserveAspectRatio="xMidYMid meet".
+ * `view` is the viewBox {minX, minY, width, height}; `pan` is the translate applied inside it.
+ */
+export function clientToWorld(clientX, clientY, rect, view, pan = { x: 0, y: 0 }) {
+  const s = Math.min(rect.width / view.width, rect.height / view.height);
+  const offX = (rect.width - view.width * s) / 2;
+  const offY = (rect.height - view.height * s) / 2;
+  return {
+    x: view.minX + (clientX - rect.left - offX) / s - pan.x,
+    y: view.minY + (clientY - rect.top - offY) / s - pan.y,
+  };
+}
+
+export function tilePath() {
+  const w2 = TILE_W / 2;
+  const h = TILE_H / 2;
+  return `M 0 ${-h} L ${w2} 0 L 0 ${h} L ${-w2} 0 Z`;
+}
+
+export function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+
+/**
+ * Diagonal tile range covering a world-space rect {minX, minY, maxX, maxY}.
+ * u = col - row and v = col + row are the tile's screen column / row on the iso lattice,
+ * so an axis-aligned rect maps to an axis-aligned (u, v) box. `overscan` adds tiles on every side.
+ */
+export function tileRangeForRect(rect, overscan = 0) {
+  const w2 = TILE_W / 2;
+  const h2 = TILE_H / 2;
+  return {
+    uMin: Math.floor(rect.minX / w2) - 1 - overscan,
+    uMax: Math.ceil(rect.maxX / w2) + 1 + overscan,
+    vMin: Math.floor(rect.minY / h2) - 1 - overscan,
+    vMax: Math.ceil(rect.maxY / h2) + 1 + overscan,
+  };
+}
+
+export function rangeContains(outer, inner) {
+  return !!outer && outer.uMin <= inner.uMin && outer.uMax >= inner.uMax
+    && outer.vMin <= inner.vMin && outer.vMax >= inner.vMax;
+}
+
+/** Tiles of a gridSize×gridSize grid inside a (u, v) range, in back-to-front paint order. */
+export function tilesInRange(range, gridSize) {
+  const list = [];
+  const vMin = Math.max(range.vMin, 0);
+  const vMax = Math.min(range.vMax, 2 * (gridSize - 1));
+  for (let v = vMin; v <= vMax; v++) {
+    for (let u = range.uMin; u <= range.uMax; u++) {
+      if ((u + v) % 2 !== 0) continue; // u and v always share parity
+      const r = (v - u) / 2;
+      const c = (u + v) / 2;
+      if (r < 0 || c < 0 || r >= gridSize || c >= gridSize) continue;
+      const { x, y } = isoPos(r, c);
+      list.push({ id: `${r}-${c}`, r, c, x, y });
+    }
+  }
+  return list;
+}
@@ -0,0 +1,31 @@
+import { TILE_W, TILE_H, isoPos, isoCell, clientToWorld } from "./iso";
+
+test("isoCell inverts isoPos at tile centres", () => {
+  for (const [r, c] of [[0, 0], [3, 7], [99, 0], [0, 99], [99, 99]]) {
+    const { x, y } = isoPos(r, c);
+    expect(isoCell(x, y, 100)).toEqual({ r, c });
+  }
+});
+
+test("isoCell picks the diamond containing the point, and null off the grid", () => {
+  const { x, y } = isoPos(5, 5);
+  // just inside each corner of the diamond
+  expect(isoCell(x, y - TILE_H / 2 + 1, 100)).toEqual({ r: 5, c: 5 });
+  expect(isoCell(x + TILE_W / 2 - 1, y, 100)).toEqual({ r: 5, c: 5 });
+  // just across the upper-right edge is the neighbour (r - 1, c)
+  expect(isoCell(x + TILE_W / 4 + 1, y - TILE_H / 4 - 1, 100)).toEqual({ r: 4, c: 5 });
+
+  const top = isoPos(0, 0);
+  expect(isoCell(top.x, top.y - TILE_H / 2 - 1, 100)).toBeNull();
+  const last = isoPos(99, 99);
+  expect(isoCell(last.x, last.y + TILE_H / 2 + 1, 100)).toBeNull();
+});
+
+test("clientToWorld follows meet letterboxing, viewBox and pan", () => {
+  const view = { minX: -100, minY: -50, width: 200, height: 100 };
+  // 400x400 box: scale 2, content letterboxed 100px from the top
+  const rect = { left: 10, top: 20, width: 400, height: 400 };
+  expect(clientToWorld(10 + 200, 20 + 200, rect, view)).toEqual({ x: 0, y: 0 });
+  expect(clientToWorld(10, 20 + 100, rect, view)).toEqual({ x: -100, y: -50 });
+  expect(clientToWorld(10 + 200, 20 + 200, rect, view, { x: 30, y: -5 })).toEqual({ x: -30, y: 5 });
+});
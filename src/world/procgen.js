@@ -0,0 +1,102 @@
+import { TILE_W, TILE_H } from "./iso";
+
+/** ---------- Seeded cosmetics: same (seed, x, y) -> same content on every client ---------- */
+
+// 32-bit integer hash of any number of ints (murmur3-style finaliser per input)
+export function hash32(...ints) {
+  let h = 0x9e3779b9;
+  for (const n of ints) {
+    h = Math.imul(h ^ (n | 0), 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast, good enough for visuals; returns floats in [0, 1)
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Independent stream per (seed, x, y, salt); the salt keeps e.g. stars and planets uncorrelated. */
+export const cellRng = (seed, x, y, salt = 0) => mulberry32(hash32(seed, x, y, salt));
+
+const SALT_STARS = 1;
+const SALT_ROCKS = 2;
+const SALT_PLANET = 3;
+
+const MAX_STARS = 5;
+const ASTEROID_CHANCE = 0.06;
+
+// random point inside the tile diamond, in tile-local units (scaled in from the edges)
+function pointInTile(rand, inset = 0.8) {
+  const a = rand() - 0.5;
+  const b = rand() - 0.5;
+  return { x: (a - b) * (TILE_W / 2) * inset, y: (a + b) * (TILE_H / 2) * inset };
+}
+
+/**
+ * Background dressing for cell (x, y), in tile-local coordinates:
+ *   stars:     [{x, y, size}]                 density varies per cell
+ *   asteroids: [[{x, y}, ...], ...] | null    a few irregular rock outlines
+ */
+export function cellCosmetics(seed, x, y) {
+  const rs = cellRng(seed, x, y, SALT_STARS);
+  const density = rs() * rs(); // skewed towards sparse
+  const count = Math.floor(density * (MAX_STARS + 1));
+  const stars = [];
+  for (let i = 0; i < count; i++) stars.push({ ...pointInTile(rs), size: rs() < 0.8 ? 0.8 : 1.6 });
+
+  const rr = cellRng(seed, x, y, SALT_ROCKS);
+  let asteroids = null;
+  if (rr() < ASTEROID_CHANCE) {
+    asteroids = [];
+    const n = 2 + Math.floor(rr() * 4);
+    for (let i = 0; i < n; i++) {
+      const c = pointInTile(rr, 0.7);
+      const size = 1.5 + rr() * 3;
+      const sides = 5 + Math.floor(rr() * 3);
+      const rock = [];
+      for (let k = 0; k < sides; k++) {
+        const ang = (k / sides) * Math.PI * 2;
+        const d = size * (0.7 + rr() * 0.5);
+        rock.push({ x: c.x + Math.cos(ang) * d, y: c.y + Math.sin(ang) * d * 0.7 });
+      }
+      asteroids.push(rock);
+    }
+  }
+
+  return { stars, asteroids };
+}
+
+/** Per-cell planet look on top of its resource type: size factor and tilt (degrees). */
+export function planetVariant(seed, x, y) {
+  const rand = cellRng(seed, x, y, SALT_PLANET);
+  return { scale: 0.88 + rand() * 0.24, tilt: -35 + rand() * 40 };
+}
+
+/** World nebula parameters: feTurbulence seed and the colour centre (fractions of the world box). */
+export function worldNebula(seed) {
+  const rand = mulberry32(hash32(seed, 0x6e6562));
+  return { seed: Math.floor(rand() * 10000), cx: 0.4 + rand() * 0.3, cy: 0.35 + rand() * 0.25 };
+}
+
+/** Flattens cosmetics for a set of tiles into world-space lists both renderers can draw. */
+export function decorForTiles(tiles, seed) {
+  const stars = [];
+  const rocks = [];
+  for (const t of tiles) {
+    const { stars: s, asteroids } = cellCosmetics(seed, t.r, t.c);
+    for (const p of s) stars.push({ x: t.x + p.x, y: t.y + p.y, size: p.size });
+    if (asteroids) for (const rock of asteroids) rocks.push(rock.map(p => ({ x: t.x + p.x, y: t.y + p.y })));
+  }
+  return { stars, rocks };
+}
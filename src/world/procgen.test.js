@@ -0,0 +1,17 @@
+import { cellCosmetics, planetVariant, worldNebula } from "./procgen";
+
+test("cosmetics are a pure function of (seed, x, y)", () => {
+  expect(cellCosmetics(1337, 12, 40)).toEqual(cellCosmetics(1337, 12, 40));
+  expect(planetVariant(1337, 12, 40)).toEqual(planetVariant(1337, 12, 40));
+  expect(worldNebula(1337)).toEqual(worldNebula(1337));
+});
+
+test("different seeds give different worlds", () => {
+  const stars = (seed) => {
+    let n = 0;
+    for (let x = 0; x < 20; x++) for (let y = 0; y < 20; y++) n += cellCosmetics(seed, x, y).stars.length;
+    return n;
+  };
+  expect(stars(1)).not.toBe(stars(2));
+  expect(worldNebula(1).seed).not.toBe(worldNebula(2).seed);
+});
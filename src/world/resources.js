@@ -0,0 +1,56 @@
+/** ---------- Resource catalogue: everything the UI knows about a resourceId ---------- */
+
+/**
+ * Bundled catalogue, in id order. The deployed id range comes from DEFS().isValidResource()
+ * (contracts/resourceDefs.js); this list is the fallback and the source of names and visuals per id.
+ *   icon:   short glyph for lists and the legend
+ *   color:  swatch / minimap colour
+ *   planet: look of the planet drawn on a cell holding it
+ *           { id, stops: [inner, mid, outer] radial gradient, ring: ring colour or null }
+ */
+export const RESOURCES = [
+  {
+    id: 0, name: "Titanium Alloy", icon: "⬢", color: "#cfd6de",
+    planet: { id: "titanium", stops: ["#f2f2f2", "#9aa3ad", "#3e4750"], ring: null },
+  },
+  {
+    id: 1, name: "Carbon Nanofibers", icon: "✣", color: "#8a8f98",
+    planet: { id: "carbon", stops: ["#c9ccd2", "#4d525b", "#15181d"], ring: null },
+  },
+  {
+    id: 2, name: "Fusion Fuel", icon: "☀", color: "#ffc684",
+    planet: { id: "fusion", stops: ["#fff2c5", "#e0a34c", "#8b4a1f"], ring: null },
+  },
+  {
+    id: 3, name: "Plasma Cells", icon: "ϟ", color: "#ff8d66",
+    planet: { id: "plasma", stops: ["#fff0a8", "#ff6b3d", "#6b0b0b"], ring: null },
+  },
+  {
+    id: 4, name: "Silicon Crystals", icon: "◆", color: "#a8e8ff",
+    planet: { id: "silicon", stops: ["#ffffff", "#a8e8ff", "#3a6ea8"], ring: null },
+  },
+  {
+    id: 5, name: "Quantum Circuits", icon: "⌬", color: "#7ea2ff",
+    planet: { id: "quantum", stops: ["#e4ecff", "#7ea2ff", "#1f2d6b"], ring: "#b9ccff" },
+  },
+  {
+    id: 6, name: "Dark Matter", icon: "●", color: "#b46cff",
+    planet: { id: "darkmatter", stops: ["#e3c6ff", "#6b2fa8", "#12061f"], ring: null },
+  },
+  {
+    id: 7, name: "Antimatter", icon: "✦", color: "#ff6bd6",
+    planet: { id: "antimatter", stops: ["#ffe0f6", "#ff6bd6", "#5b0f4a"], ring: "#ffb3ec" },
+  },
+];
+
+// Placeholder for ids outside the catalogue (e.g. a newer contract than this build)
+const unknownResource = (id) => ({
+  id,
+  name: `#${id}`,
+  icon: "?",
+  color: "#6b7280",
+  planet: RESOURCES[0].planet,
+});
+
+/** Catalogue entry for `id`; never undefined, so callers can render cells with unexpected ids. */
+export const resourceById = (id) => RESOURCES[id] ?? unknownResource(id);
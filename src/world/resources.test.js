@@ -0,0 +1,17 @@
+import { Interface } from "ethers";
+import contractABI from "../abis/contractMain.json";
+import { RESOURCES, resourceById } from "./resources";
+
+test("catalogue is indexed by id, and ids fit occupyAt's uint8", () => {
+  expect(RESOURCES.map(r => r.id)).toEqual([...RESOURCES.keys()]);
+
+  // ids travel as uint8 and are rejected through InvalidResourceType(uint8)
+  const iface = new Interface(contractABI.abi);
+  expect(iface.getError("InvalidResourceType").inputs[0].type).toBe("uint8");
+  expect(iface.getFunction("occupyAt").inputs[2].type).toBe("uint8");
+});
+
+test("every entry has a distinct planet look, and unknown ids still render", () => {
+  expect(new Set(RESOURCES.map(r => r.planet.id)).size).toBe(RESOURCES.length);
+  expect(resourceById(42)).toMatchObject({ id: 42, name: "#42" });
+});
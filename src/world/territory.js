@@ -0,0 +1,123 @@
+import { TILE_W, TILE_H, isoPos } from "./iso";
+import { hash32 } from "./procgen";
+
+/** ---------- Territories: owner colours, identicons and merged region outlines ---------- */
+
+// 32-bit hash of an address's hex digits, so the same owner looks the same everywhere
+function addressHash(address, salt = 0) {
+  const hex = address.toLowerCase().replace(/^0x/, "");
+  const words = [];
+  for (let i = 0; i < hex.length; i += 8) words.push(parseInt(hex.slice(i, i + 8), 16) | 0);
+  return hash32(salt, ...words);
+}
+
+/** Deterministic, reasonably distinct colour per owner address. */
+export function ownerColor(address) {
+  const h = addressHash(address);
+  const hue = h % 360;
+  const sat = 55 + ((h >>> 9) % 25);
+  const light = 55 + ((h >>> 17) % 12);
+  return `hsl(${hue}, ${sat}%, ${light}%)`;
+}
+
+/**
+ * 5×5 mirrored identicon for an address: { color, cells } with cells[row][col] booleans.
+ * Columns 0-1 are mirrored onto 4-3, as in the usual GitHub-style blockies.
+ */
+export function identicon(address) {
+  const h = addressHash(address, 0x1d);
+  const cells = [];
+  for (let row = 0; row < 5; row++) {
+    const bits = [0, 1, 2].map(col => ((h >>> (row * 3 + col)) & 1) === 1);
+    cells.push([bits[0], bits[1], bits[2], bits[1], bits[0]]);
+  }
+  return { color: ownerColor(address), cells };
+}
+
+// Diamond corners of tile (r, c) and, per edge, the neighbour that shares it.
+// Edges run clockwise, so the boundary of any region comes out as closed clockwise loops.
+function tileEdges(r, c) {
+  const { x, y } = isoPos(r, c);
+  const top = { x, y: y - TILE_H / 2 };
+  const right = { x: x + TILE_W / 2, y };
+  const bottom = { x, y: y + TILE_H / 2 };
+  const left = { x: x - TILE_W / 2, y };
+  return [
+    { from: top, to: right, nr: r - 1, nc: c },
+    { from: right, to: bottom, nr: r, nc: c + 1 },
+    { from: bottom, to: left, nr: r + 1, nc: c },
+    { from: left, to: top, nr: r, nc: c - 1 },
+  ];
+}
+
+const key = (p) => `${p.x},${p.y}`;
+
+// Joins boundary edges end-to-end into closed loops (arrays of points)
+function chainLoops(edges) {
+  const byStart = new Map();
+  for (const e of edges) {
+    const k = key(e.from);
+    if (!byStart.has(k)) byStart.set(k, []);
+    byStart.get(k).push(e);
+  }
+  const loops = [];
+  for (const first of edges) {
+    if (first.used) continue;
+    const loop = [first.from];
+    let e = first;
+    while (e && !e.used) {
+      e.used = true;
+      loop.push(e.to);
+      // where two regions touch only at a corner, either outgoing edge closes a valid loop
+      e = (byStart.get(key(e.to)) || []).find(n => !n.used);
+    }
+    loops.push(loop);
+  }
+  return loops;
+}
+
+/**
+ * Connected same-owner regions (4-neighbour, i.e. tiles sharing an edge) of a cell map
+ * { idx -> { owner } } with idx = x * gridSize + y.
+ *
+ * Returns [{ owner, color, cells: [idx], loops: [[{x, y}, ...]] }], where loops are the
+ * region's merged outline in world units (outer border and any holes).
+ */
+export function territoryRegions(cells, gridSize) {
+  const seen = new Set();
+  const regions = [];
+
+  for (const [start, { owner }] of cells) {
+    if (seen.has(start)) continue;
+    const members = [];
+    const edges = [];
+    const queue = [start];
+    seen.add(start);
+
+    while (queue.length) {
+      const idx = queue.pop();
+      members.push(idx);
+      const r = Math.floor(idx / gridSize);
+      const c = idx % gridSize;
+      for (const edge of tileEdges(r, c)) {
+        const inside = edge.nr >= 0 && edge.nc >= 0 && edge.nr < gridSize && edge.nc < gridSize;
+        const n = edge.nr * gridSize + edge.nc;
+        if (inside && cells.get(n)?.owner === owner) {
+          if (!seen.has(n)) {
+            seen.add(n);
+            queue.push(n);
+          }
+        } else {
+          edges.push(edge);
+        }
+      }
+    }
+
+    regions.push({ owner, color: ownerColor(owner), cells: members, loops: chainLoops(edges) });
+  }
+  return regions;
+}
+
+/** SVG path data for a region's loops. */
+export const loopsPath = (loops) =>
+  loops.map(loop => `M${loop.map(p => `${p.x} ${p.y}`).join("L")}Z`).join("");
@@ -0,0 +1,41 @@
+import { identicon, ownerColor, territoryRegions, loopsPath } from "./territory";
+
+const A = "0x1111111111111111111111111111111111111111";
+const B = "0x2222222222222222222222222222222222222222";
+
+test("owner colour and identicon are deterministic per address", () => {
+  expect(ownerColor(A)).toBe(ownerColor(A.toUpperCase().replace("0X", "0x")));
+  expect(ownerColor(A)).not.toBe(ownerColor(B));
+  const { cells } = identicon(A);
+  expect(cells).toHaveLength(5);
+  cells.forEach(row => expect(row).toEqual([...row].reverse()));
+});
+
+test("same-owner cells sharing an edge merge into one region with one outline", () => {
+  const gridSize = 4;
+  const cells = new Map([
+    [0 * gridSize + 0, { owner: A }],
+    [0 * gridSize + 1, { owner: A }],
+    [3 * gridSize + 3, { owner: A }],
+    [1 * gridSize + 1, { owner: B }],
+  ]);
+  const regions = territoryRegions(cells, gridSize);
+  expect(regions).toHaveLength(3);
+
+  const pair = regions.find(r => r.cells.length === 2);
+  expect(pair.owner).toBe(A);
+  expect(pair.loops).toHaveLength(1);
+  // two diamonds joined along one edge: 6 corners, closed back onto the start
+  expect(pair.loops[0]).toHaveLength(7);
+  expect(pair.loops[0][0]).toEqual(pair.loops[0][6]);
+  expect(loopsPath(pair.loops)).toMatch(/^M.*Z$/);
+});
+
+test("a ring of cells keeps its hole as a second loop", () => {
+  const gridSize = 3;
+  const cells = new Map();
+  for (let i = 0; i < 9; i++) if (i !== 4) cells.set(i, { owner: A });
+  const [ring] = territoryRegions(cells, gridSize);
+  expect(ring.cells).toHaveLength(8);
+  expect(ring.loops).toHaveLength(2);
+});